@@ -0,0 +1,165 @@
+import { exporter } from 'ipfs-unixfs-exporter'
+import { CID } from 'multiformats/cid'
+import * as raw from 'multiformats/codecs/raw'
+
+import * as dagJSON from '@ipld/dag-json'
+import * as cbor from '@ipld/dag-cbor'
+import * as dagPB from '@ipld/dag-pb'
+
+const CODECS = [dagPB, cbor, dagJSON, raw]
+
+// Read only backend for anything with a `get(cid)` method like an interface-blockstore
+export function makeBlockstoreBackend (blockstore) {
+  const block = {
+    async get (cid, { signal } = {}) {
+      const result = await blockstore.get(toCID(cid), { signal })
+      // Newer blockstores stream blocks back in chunks
+      if (result[Symbol.asyncIterator]) {
+        const chunks = []
+        for await (const chunk of result) chunks.push(chunk)
+        return new Uint8Array(Buffer.concat(chunks))
+      }
+      return result
+    }
+  }
+
+  const dag = {
+    async get (cid, { signal } = {}) {
+      cid = toCID(cid)
+      const codec = CODECS.find(({ code }) => code === cid.code)
+      if (!codec) throw new Error(`Unsupported codec ${cid.code} for ${cid}`)
+      const bytes = await block.get(cid, { signal })
+      return { value: codec.decode(bytes) }
+    },
+    async resolve (path, { signal } = {}) {
+      const { cid } = await exporter(path, block, { signal })
+      return { cid, remainderPath: '' }
+    }
+  }
+
+  async function * cat (path, { signal, offset, length } = {}) {
+    const entry = await exporter(path, block, { signal })
+    if (entry.type === 'directory') throw new Error(`${path} is a directory`)
+    yield * entry.content({ signal, offset, length })
+  }
+
+  async function * ls (path, { signal } = {}) {
+    const entry = await exporter(path, block, { signal })
+    if (entry.type !== 'directory') throw new Error(`${path} is not a directory`)
+    for await (const child of entry.content({ signal })) {
+      const isDirectory = child.type === 'directory'
+      yield {
+        name: child.name,
+        path: child.path,
+        cid: child.cid,
+        type: isDirectory ? 'dir' : 'file',
+        size: isDirectory ? 0 : Number(child.size || 0)
+      }
+    }
+  }
+
+  return { block, dag, cat, ls }
+}
+
+// Helia nodes can load blocks, and do pubsub if libp2p has it enabled
+export function makeHeliaBackend (helia) {
+  const backend = makeBlockstoreBackend(helia.blockstore)
+  const { services = {} } = helia.libp2p || {}
+  if (!services.pubsub) return backend
+
+  return {
+    ...backend,
+    async id () {
+      return { id: helia.libp2p.peerId.toString() }
+    },
+    pubsub: makeLibp2pPubsub(services.pubsub)
+  }
+}
+
+// kubo-rpc-client moved the DHT methods to `routing` and uses PeerId objects
+// where the ipfs API used strings
+export function makeKuboBackend (kubo) {
+  return {
+    ...kubo,
+    dht: {
+      get: (key, options) => kubo.routing.get(key, options),
+      put: (key, value, options) => kubo.routing.put(key, value, options)
+    },
+    async id (options) {
+      const info = await kubo.id(options)
+      return { ...info, id: info.id.toString() }
+    },
+    pubsub: makeKuboPubsub(kubo.pubsub)
+  }
+}
+
+function makeKuboPubsub (pubsub) {
+  const wrapped = new Map()
+
+  return {
+    async subscribe (topic, handler, options) {
+      const onMessage = (message) => handler({
+        ...message,
+        from: message.from ? message.from.toString() : null,
+        // Unsigned messages don't have a sequence number
+        sequenceNumber: message.sequenceNumber || 0
+      })
+      wrapped.set(handler, onMessage)
+      await pubsub.subscribe(topic, onMessage, options)
+    },
+    async unsubscribe (topic, handler, options) {
+      const onMessage = wrapped.get(handler)
+      wrapped.delete(handler)
+      await pubsub.unsubscribe(topic, onMessage, options)
+    },
+    publish: (topic, data, options) => pubsub.publish(topic, data, options),
+    ls: (options) => pubsub.ls(options)
+  }
+}
+
+// Adapts libp2p's event based pubsub to the handler based ipfs API
+function makeLibp2pPubsub (pubsub) {
+  const handlers = new Map()
+
+  pubsub.addEventListener('message', ({ detail }) => {
+    const topicHandlers = handlers.get(detail.topic)
+    if (!topicHandlers) return
+    const message = {
+      from: detail.from ? detail.from.toString() : null,
+      topic: detail.topic,
+      data: detail.data,
+      // Unsigned messages don't have a sequence number
+      sequenceNumber: detail.sequenceNumber || 0
+    }
+    for (const handler of topicHandlers) handler(message)
+  })
+
+  return {
+    async subscribe (topic, handler) {
+      if (!handlers.has(topic)) {
+        handlers.set(topic, new Set())
+        pubsub.subscribe(topic)
+      }
+      handlers.get(topic).add(handler)
+    },
+    async unsubscribe (topic, handler) {
+      const topicHandlers = handlers.get(topic)
+      if (!topicHandlers) return
+      topicHandlers.delete(handler)
+      if (!topicHandlers.size) {
+        handlers.delete(topic)
+        pubsub.unsubscribe(topic)
+      }
+    },
+    async publish (topic, data) {
+      await pubsub.publish(topic, new Uint8Array(data))
+    },
+    async ls () {
+      return pubsub.getTopics()
+    }
+  }
+}
+
+function toCID (cid) {
+  return CID.asCID(cid) || CID.parse(`${cid}`)
+}
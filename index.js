@@ -1,32 +1,148 @@
+/* global Headers */
 import { makeRoutedFetch } from 'make-fetch'
 import { IPLDURLSystem } from 'js-ipld-url-resolve'
 
 import parseRange from 'range-parser'
 import mime from 'mime/lite.js'
 
-import { exporter } from 'ipfs-unixfs-exporter'
+import { exporter, walkPath } from 'ipfs-unixfs-exporter'
+import { UnixFS } from 'ipfs-unixfs'
 import { CID } from 'multiformats/cid'
 
 import { base32 } from 'multiformats/bases/base32'
 import { base36 } from 'multiformats/bases/base36'
+import { base58btc } from 'multiformats/bases/base58'
+import * as Digest from 'multiformats/hashes/digest'
+import { varint } from 'multiformats'
 
 // Different from raw JSON. Deterministic
 import * as dagJSON from '@ipld/dag-json'
 import * as cbor from '@ipld/dag-cbor'
+import * as dagPB from '@ipld/dag-pb'
 
 import crypto from 'crypto'
+import zlib from 'zlib'
 import { posix as posixPath } from 'path'
+import { Readable, pipeline } from 'stream'
 
 import { EventIterator } from 'event-iterator'
+import Busboy from 'busboy'
+
+export { default as makeTrustlessIPFS } from './trustless.js'
+export { makeBlockstoreBackend, makeHeliaBackend, makeKuboBackend } from './backends.js'
 
 const bases = base32.decoder.or(base36.decoder)
 
 const IPFS_TIMEOUT = 30000
 const IPNS_TIMEOUT = 120000
+// Content addressed data never changes, so cache it for as long as possible
+const IPFS_MAX_AGE = 29030400
+// IPNS values can change, so only cache them for a short while (seconds)
+const IPNS_MAX_AGE = 60
+// How long to cache DNSLink lookups for (milliseconds)
+const DNSLINK_CACHE_TIME = 60000
+const MAX_DNSLINK_CACHE = 256
+const MAX_DNSLINK_DEPTH = 32
 const SPECIAL_HOSTNAME = 'localhost'
 const EMPTY_DIR_IPFS_PATH = '/ipfs/bafyaabakaieac/'
+// Used when a sharded directory leaves out its fanout, which ipfs-core does
+const DEFAULT_SHARD_FANOUT = 256
+const LIBP2P_KEY_CODE = 0x72
+const IDENTITY_HASH_CODE = 0x00
+
+// Methods every backend needs for loading data
+const REQUIRED_METHODS = ['block.get', 'dag.get', 'dag.resolve', 'cat', 'ls']
+// Methods needed for optional features, routes get disabled without them
+const CAPABILITY_METHODS = {
+  ipld: ['dag.put'],
+  files: ['add', 'block.put', 'dag.import', 'files.cp', 'files.rm', 'files.stat', 'files.mkdir'],
+  ipns: ['resolve', 'name.publish', 'key.list', 'key.gen', 'key.rm'],
+  keyExport: ['key.export', 'key.import'],
+  ipnsRecords: ['dht.get', 'dht.put'],
+  pubsub: ['id', 'pubsub.subscribe', 'pubsub.unsubscribe', 'pubsub.publish', 'pubsub.ls']
+}
+
+const PATCH_OPERATIONS = ['write', 'delete', 'move', 'copy', 'mkdir', 'link']
+const PATCH_ENCODINGS = ['utf8', 'base64']
+
+const DEFAULT_CHUNKER = 'size-262144'
+const DEFAULT_HASH = 'sha2-256'
+const MAX_CHUNK_SIZE = 1048576
+const IMPORT_LAYOUTS = ['balanced', 'trickle']
+const IMPORT_HASHES = [
+  'sha2-256', 'sha2-512',
+  'sha3-224', 'sha3-256', 'sha3-384', 'sha3-512',
+  'keccak-224', 'keccak-256', 'keccak-384', 'keccak-512',
+  'blake2b-256', 'blake2b-384', 'blake2b-512', 'blake2s-256'
+]
+
+const DAG_SCOPES = ['block', 'entity', 'all']
+const CAR_VERSIONS = ['1']
+// We always write blocks depth first without duplicates
+const CAR_ORDERS = ['dfs', 'unk']
+const CAR_DUPS = ['n']
+
+const KEY_TYPES = ['ed25519', 'rsa', 'secp256k1']
+const DEFAULT_KEY_TYPE = 'ed25519'
+const DEFAULT_KEY_SIZE = 2048
+
+const KEY_PASSWORD_HEADER = 'X-Key-Password'
+
+// Errors from the keychain that are caused by the request rather than the node
+const KEY_IMPORT_ERROR_STATUSES = {
+  ERR_INVALID_KEY_NAME: 400,
+  ERR_PEM_REQUIRED: 400,
+  ERR_CANNOT_READ_KEY: 400,
+  ERR_KEY_ALREADY_EXISTS: 409,
+  ERR_NOT_IMPLEMENTED: 501
+}
+
+const REDIRECTS_FILE = '_redirects'
+const NOT_FOUND_PAGE = '404.html'
+const MAX_REDIRECTS_SIZE = 64 * 1024
+const MAX_REDIRECTS_CACHE = 128
+// Where the last entry of recent listing pages was, so the next page can start there
+const MAX_LISTING_CURSORS = 128
+const REDIRECT_STATUSES = [200, 301, 302, 303, 307, 308, 404, 410, 451]
+// These statuses serve the target in place instead of sending a Location
+const REWRITE_STATUSES = [200, 404, 410, 451]
 
 const MIME_JSON = 'application/json'
+const MIME_IPFS_LISTING = 'application/x-ipfs-listing+json'
+const MIME_NDJSON = 'application/x-ndjson'
+const MIME_IPNS_RECORD = 'application/vnd.ipfs.ipns-record'
+// Nodes without any DHT peers report this when putting records
+const DHT_NO_PEERS_ERROR = 'failed to find any peer in table'
+const MIME_CAR = 'application/vnd.ipld.car'
+const MIME_TAR = 'application/x-tar'
+
+const TAR_BLOCK_SIZE = 512
+// Sizes past this don't fit in the ustar header and need a PAX record
+const TAR_MAX_SIZE = 0o77777777777
+const TAR_UNIXFS_TYPES = ['directory', 'file', 'raw', 'identity']
+const TAR_FILE_TYPES = ['0', '\0', '7']
+
+const MIME_TAR_TYPES = [MIME_TAR, 'application/tar']
+const MIME_ZIP_TYPES = ['application/zip', 'application/x-zip-compressed']
+const MIME_URI_LIST = 'text/uri-list'
+const MIME_XML = 'application/xml'
+const MIME_SYMLINK = 'inode/symlink'
+
+// Same limits as Linux for following symlinks and the length of their targets
+const MAX_SYMLINK_HOPS = 40
+const MAX_SYMLINK_SIZE = 4096
+
+const DAV_READ_METHODS = ['OPTIONS', 'GET', 'HEAD', 'PROPFIND']
+const DAV_WRITE_METHODS = ['PUT', 'PATCH', 'DELETE', 'MOVE', 'COPY', 'MKCOL', 'LOCK', 'UNLOCK']
+const DAV_LOCK_TIMEOUT = 'Second-3600'
+
+const ZIP_END_SIGNATURE = 0x06054b50
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50
+const ZIP_LOCAL_SIGNATURE = 0x04034b50
+const ZIP_STORED = 0
+const ZIP_DEFLATED = 8
+// Deflate can't compress data by more than this much
+const ZIP_MAX_DEFLATE_RATIO = 1032
 
 const JSONCodec = {
   decode (data) {
@@ -61,18 +177,79 @@ async function DEFAULT_RENDER_INDEX (url, files, fetch) {
 `
 }
 
+// Node doesn't expose TTLs for TXT records, so these get cached for `dnslinkCacheTime`
+async function DEFAULT_RESOLVE_DNSLINK (hostname, { signal } = {}) {
+  // Loaded lazily so that environments without `dns` can pass their own resolver
+  const { promises: dns } = await import('dns')
+  const resolver = new dns.Resolver()
+  const cancel = () => resolver.cancel()
+  if (signal) signal.addEventListener('abort', cancel)
+
+  try {
+    for (const name of [`_dnslink.${hostname}`, hostname]) {
+      if (signal && signal.aborted) throw new Error('DNSLink lookup was aborted')
+      let records = []
+      try {
+        records = await resolver.resolveTxt(name)
+      } catch (e) {
+        if (e.code === 'ENOTFOUND' || e.code === 'ENODATA') continue
+        throw e
+      }
+      // TXT records can be split into several chunks
+      const dnslink = records
+        .map((chunks) => chunks.join(''))
+        .find((record) => record.startsWith('dnslink='))
+      if (dnslink) return dnslink.slice('dnslink='.length)
+    }
+  } finally {
+    if (signal) signal.removeEventListener('abort', cancel)
+  }
+
+  return null
+}
+
+function renderKeyList (keys) {
+  return `
+<!DOCTYPE html>
+<title>IPNS Keys</title>
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<h1>IPNS Keys</h1>
+<ul>
+  ${keys.map(({ name, url, value }) => `<li><a href="${url}">${escapeHTML(name)}</a>${value ? ` - ${escapeHTML(value)}` : ''}</li>`).join('\n')}
+</ul>
+`
+}
+
 export default function makeIPFSFetch ({
   ipfs,
   timeout = IPFS_TIMEOUT,
   ipnsTimeout = IPNS_TIMEOUT,
+  ipnsMaxAge = IPNS_MAX_AGE,
+  ipnsLifetime,
+  ipnsTTL,
+  resolveDNSLink = DEFAULT_RESOLVE_DNSLINK,
+  dnslinkOverrides = {},
+  dnslinkCacheTime = DNSLINK_CACHE_TIME,
+  keyType = DEFAULT_KEY_TYPE,
+  keySize = DEFAULT_KEY_SIZE,
   onNotFound = DEFAULT_ON_NOT_FOUND,
   renderIndex = DEFAULT_RENDER_INDEX,
   defaultHeaders = DEFAULT_HEADERS,
   writable = true
 }) {
+  const missingMethods = REQUIRED_METHODS.filter((method) => !hasMethod(ipfs, method))
+  if (missingMethods.length) {
+    throw new TypeError(`IPFS backend is missing required methods: ${missingMethods.join(', ')}`)
+  }
+  const capabilities = getCapabilities(ipfs)
+
   const { router, fetch } = makeRoutedFetch({
-    onNotFound
+    onNotFound,
+    onError
   })
+  const dnslinkCache = new Map()
+  const redirectsCache = new Map()
+  const listingCursors = new Map()
   const ipldSystem = new IPLDURLSystem({
     getNode,
     saveNode
@@ -133,7 +310,7 @@ export default function makeIPFSFetch ({
     }
   })
 
-  if (writable) {
+  if (writable && capabilities.ipld) {
     router.post(`ipld://${SPECIAL_HOSTNAME}/**`, async (request) => {
       const { url, signal } = request
       const format = new URL(url).searchParams.get('format')
@@ -220,7 +397,7 @@ export default function makeIPFSFetch ({
     })
   }
 
-  if (writable) {
+  if (writable && capabilities.pubsub) {
     router.get('pubsub://*/', async ({ url, headers }) => {
       const { searchParams, hostname } = new URL(url)
       const format = searchParams.get('format')
@@ -298,9 +475,18 @@ export default function makeIPFSFetch ({
     })
   }
 
-  if (writable) {
-    router.get(`ipns://${SPECIAL_HOSTNAME}/`, async ({ url, signal }) => {
-      const key = new URL(url).searchParams.get('key')
+  if (writable && capabilities.ipns) {
+    router.get(`ipns://${SPECIAL_HOSTNAME}/`, async ({ url, headers, signal }) => {
+      const { searchParams } = new URL(url)
+      const key = searchParams.get('key')
+      const format = searchParams.get('format')
+
+      if (!key) {
+        const accept = headers.get('Accept') || ''
+        const shouldResolve = searchParams.has('resolve')
+        return serveKeyList(accept, shouldResolve, signal)
+      }
+
       const exists = await hasKey(key, signal)
       if (!exists) {
         return {
@@ -308,6 +494,9 @@ export default function makeIPFSFetch ({
           headers: defaultHeaders,
           body: 'Key Not Found'
         }
+      } else if (format) {
+        const password = headers.get(KEY_PASSWORD_HEADER)
+        return exportKey(exists.name, format, password, signal)
       } else {
         const keyURL = keyToURL(exists)
         return {
@@ -321,13 +510,42 @@ export default function makeIPFSFetch ({
       }
     })
 
-    // TODO: Generate from headers somehow
-    router.post(`ipns://${SPECIAL_HOSTNAME}/`, async ({ url, signal }) => {
-      const key = new URL(url).searchParams.get('key')
+    router.post(`ipns://${SPECIAL_HOSTNAME}/`, async ({ url, headers, signal }) => {
+      const { searchParams } = new URL(url)
+      const key = searchParams.get('key')
+      const type = searchParams.get('type') || headers.get('X-Key-Type') || keyType
+      const rawSize = searchParams.get('size') || headers.get('X-Key-Size')
+      const size = rawSize ? parseInt(rawSize, 10) : keySize
+
+      if (!KEY_TYPES.includes(type)) {
+        return {
+          status: 400,
+          headers: defaultHeaders,
+          body: `Unsupported key type, must be one of ${KEY_TYPES.join(', ')}. Got ${type}`
+        }
+      }
+
+      if (!(size > 0)) {
+        return {
+          status: 400,
+          headers: defaultHeaders,
+          body: `Invalid key size, must be a positive integer. Got ${rawSize}`
+        }
+      }
+
       // Localhost is used for generating keys
       const exists = await hasKey(key, signal)
       if (!exists) {
-        await genKey(key, signal)
+        try {
+          await genKey(key, { type, size }, signal)
+        } catch (e) {
+          // Not every node supports every key type
+          return {
+            status: 400,
+            headers: defaultHeaders,
+            body: `Unable to generate ${type} key: ${e.message}`
+          }
+        }
       }
       const keyData = await hasKey(key, signal)
       const keyURL = keyToURL(keyData)
@@ -353,10 +571,101 @@ export default function makeIPFSFetch ({
       }
     })
 
+    router.put(`ipns://${SPECIAL_HOSTNAME}/`, async (request) => {
+      const { url, headers, signal } = request
+      if (!capabilities.keyExport) return notSupported('Key import')
+
+      const key = new URL(url).searchParams.get('key')
+      const password = headers.get(KEY_PASSWORD_HEADER)
+
+      if (!key) {
+        return {
+          status: 400,
+          headers: defaultHeaders,
+          body: 'Must specify a key name in the ?key= parameter'
+        }
+      }
+
+      if (!password) {
+        return {
+          status: 400,
+          headers: defaultHeaders,
+          body: `Must specify the key password in the ${KEY_PASSWORD_HEADER} header`
+        }
+      }
+
+      const exists = await hasKey(key, signal)
+      if (exists) {
+        return {
+          status: 409,
+          headers: defaultHeaders,
+          body: `Key already exists: ${key}`
+        }
+      }
+
+      const keyData = new Uint8Array(await request.arrayBuffer())
+
+      // Exported keys are text, binary libp2p protobuf keys can't be imported
+      if (!keyData.length || !keyData.every(isTextByte)) {
+        return {
+          status: 400,
+          headers: defaultHeaders,
+          body: 'Only keys exported as PEM can be imported, libp2p protobuf keys are not supported'
+        }
+      }
+
+      const pem = Buffer.from(keyData).toString('utf8')
+
+      try {
+        await ipfs.key.import(key, pem, password, {
+          signal,
+          timeout: ipnsTimeout
+        })
+      } catch (e) {
+        const status = KEY_IMPORT_ERROR_STATUSES[e.code]
+        if (!status) throw e
+        return {
+          status,
+          headers: defaultHeaders,
+          body: `Unable to import key: ${e.message}`
+        }
+      }
+
+      const imported = await hasKey(key, signal)
+      const keyURL = keyToURL(imported)
+
+      return {
+        status: 201,
+        headers: {
+          ...defaultHeaders,
+          Location: keyURL
+        },
+        body: keyURL
+      }
+    })
+
+    router.post('ipns://*/', async (request) => {
+      const { url, signal, headers } = request
+      const { hostname: keyName } = new URL(url)
+
+      const publishOptions = getPublishOptions(url, headers)
+      const invalidOptions = checkPublishOptions(publishOptions)
+      if (invalidOptions) return invalidOptions
+
+      const rawValue = await request.text()
+      const value = rawValue
+        .replace(/^ipfs:\/\//, '/ipfs/')
+        .replace(/^ipns:\/\//, '/ipns/')
+
+      return updateIPNS(keyName, value, publishOptions, signal)
+    })
+  }
+
+  if (writable && capabilities.files) {
     router.post(`ipfs://${SPECIAL_HOSTNAME}/`, async (request) => {
       const { headers, signal } = request
       const contentType = headers.get('Content-Type') || ''
-      const isFormData = contentType.includes('multipart/form-data')
+      const uploadType = getUploadType(contentType)
       const isCAR = contentType.includes('application/vnd.ipld.car')
 
       if (isCAR) {
@@ -378,12 +687,16 @@ export default function makeIPFSFetch ({
         }
       }
 
+      const importOptions = getImportOptions(request.url, headers)
+      const invalidImportOptions = checkImportOptions(importOptions)
+      if (invalidImportOptions) return invalidImportOptions
+
       const dir = '/ipfs/bafyaabakaieac/localhost'
-      const addedURLRaw = await uploadData(dir, request, isFormData, signal)
+      const addedURLRaw = await uploadData(dir, request, uploadType, importOptions, signal)
       // Resolve the localhost thing back to the root CID
       const { cid } = await ipfs.dag.resolve(addedURLRaw.replace('ipfs://', '/ipfs/'))
 
-      const cidHash = cid.toString()
+      const cidHash = cid.toV1().toString()
       const addedURL = `ipfs://${cidHash}/`
 
       return {
@@ -397,14 +710,22 @@ export default function makeIPFSFetch ({
     })
 
     router.put(`ipfs://${SPECIAL_HOSTNAME}/`, onNotFound)
+
     router.put('ipfs://*/**', async (request) => {
       const { url, headers, signal } = request
       const contentType = headers.get('Content-Type') || ''
-      const isFormData = contentType.includes('multipart/form-data')
+      const uploadType = getUploadType(contentType)
+
+      const importOptions = getImportOptions(url, headers)
+      const invalidImportOptions = checkImportOptions(importOptions)
+      if (invalidImportOptions) return invalidImportOptions
 
       const ipfsPath = urlToIPFSPath(url)
 
-      const addedURL = await uploadData(ipfsPath, request, isFormData, signal)
+      const failedPrecondition = await checkPreconditions(ipfsPath, headers, signal)
+      if (failedPrecondition) return failedPrecondition
+
+      const addedURL = await uploadData(ipfsPath, request, uploadType, importOptions, signal)
 
       return {
         status: 201,
@@ -416,64 +737,244 @@ export default function makeIPFSFetch ({
       }
     })
 
-    router.put(`ipns://${SPECIAL_HOSTNAME}/`, onNotFound)
+    router.patch('ipfs://*/**', async (request) => {
+      const { url, headers, signal } = request
+
+      const importOptions = getImportOptions(url, headers)
+      const invalidImportOptions = checkImportOptions(importOptions)
+      if (invalidImportOptions) return invalidImportOptions
+
+      const ipfsPath = urlToIPFSPath(url)
+
+      const failedPrecondition = await checkPreconditions(ipfsPath, headers, signal)
+      if (failedPrecondition) return failedPrecondition
+
+      const updatedURL = await patchData(ipfsPath, request, importOptions, signal)
+
+      return {
+        status: 201,
+        headers: {
+          ...defaultHeaders,
+          Location: updatedURL
+        },
+        body: updatedURL
+      }
+    })
+
+    router.add('MKCOL', 'ipfs://*/**', async ({ url, headers, signal }) => {
+      const importOptions = getImportOptions(url, headers)
+      const invalidImportOptions = checkImportOptions(importOptions)
+      if (invalidImportOptions) return invalidImportOptions
+
+      const ipfsPath = urlToIPFSPath(url)
+
+      const failedPrecondition = await checkPreconditions(ipfsPath, headers, signal)
+      if (failedPrecondition) return failedPrecondition
+
+      const updatedURL = await makeCollection(ipfsPath, importOptions, signal)
+
+      return {
+        status: 201,
+        headers: {
+          ...defaultHeaders,
+          Location: updatedURL
+        },
+        body: updatedURL
+      }
+    })
+
+    router.add('LOCK', 'ipfs://*/**', lockResource)
+    router.add('UNLOCK', 'ipfs://*/**', unlockResource)
+
+    for (const method of ['MOVE', 'COPY']) {
+      router.add(method, 'ipfs://*/**', async (request) => {
+        const { url, headers, signal } = request
+
+        const importOptions = getImportOptions(url, headers)
+        const invalidImportOptions = checkImportOptions(importOptions)
+        if (invalidImportOptions) return invalidImportOptions
+
+        const ipfsPath = urlToIPFSPath(url)
+
+        const failedPrecondition = await checkPreconditions(ipfsPath, headers, signal)
+        if (failedPrecondition) return failedPrecondition
+
+        const updatedURL = await relinkData(ipfsPath, request, importOptions, signal)
+
+        return {
+          status: 201,
+          headers: {
+            ...defaultHeaders,
+            Location: updatedURL
+          },
+          body: updatedURL
+        }
+      })
+    }
+
+    router.delete('ipfs://*/**', async ({ url, signal, headers }) => {
+      const ipfsPath = urlToIPFSPath(url)
+
+      const failedPrecondition = await checkPreconditions(ipfsPath, headers, signal)
+      if (failedPrecondition) return failedPrecondition
+
+      return deleteData(ipfsPath, signal)
+    })
+  }
+
+  if (writable && (capabilities.ipnsRecords || (capabilities.files && capabilities.ipns))) {
     router.put('ipns://*/**', async (request) => {
       const { url, signal, headers } = request
       const contentType = headers.get('Content-Type') || ''
-      const isFormData = contentType.includes('multipart/form-data')
+      const uploadType = getUploadType(contentType)
+      const format = new URL(url).searchParams.get('format')
+
+      if (format === 'ipns-record' || contentType.includes(MIME_IPNS_RECORD)) {
+        if (!capabilities.ipnsRecords) return notSupported('IPNS records')
+        return uploadIPNSRecord(request)
+      }
+
+      if (!capabilities.files || !capabilities.ipns) return notSupported('Uploading to IPNS')
 
       const ipnsPath = urlToIPNSPath(url)
       const split = ipnsPath.split('/')
       const keyName = split[2]
       const subpath = split.slice(3).join('/')
 
-      if (!isFormData && !subpath) {
+      if (uploadType === 'file' && !subpath) {
         return {
           status: 400,
-          body: 'Cannot upload to root. Must either use Form Data or a file subpath.'
+          body: 'Cannot upload to root. Must either use Form Data, an archive, or a file subpath.'
         }
       }
 
+      const publishOptions = getPublishOptions(url, headers)
+      const invalidOptions = checkPublishOptions(publishOptions)
+      if (invalidOptions) return invalidOptions
+
+      const importOptions = getImportOptions(url, headers)
+      const invalidImportOptions = checkImportOptions(importOptions)
+      if (invalidImportOptions) return invalidImportOptions
+
       // Resolve to current CID before writing over it
-      const ipfsPath = await resolveIPNS(ipnsPath)
+      const ipfsPath = await resolveIPNS(ipnsPath, signal)
+
+      const failedPrecondition = await checkPreconditions(ipfsPath, headers, signal)
+      if (failedPrecondition) return failedPrecondition
 
-      const addedURL = await uploadData(ipfsPath, request, isFormData, signal)
+      const addedURL = await uploadData(ipfsPath, request, uploadType, importOptions, signal)
       // We just want the new root CID, not the full path to the file
       const cid = addedURL.slice('ipfs://'.length).split('/')[0]
       const value = `/ipfs/${cid}/`
 
-      return updateIPNS(keyName, value)
+      return updateIPNS(keyName, value, publishOptions, signal)
     })
+  }
 
-    router.post('ipns://*/', async (request) => {
-      const { url, signal } = request
+  if (writable && capabilities.files && capabilities.ipns) {
+    router.patch('ipns://*/**', async (request) => {
+      const { url, headers, signal } = request
       const { hostname: keyName } = new URL(url)
 
-      const rawValue = await request.text()
-      const value = rawValue
-        .replace(/^ipfs:\/\//, '/ipfs/')
-        .replace(/^ipns:\/\//, '/ipns/')
+      const publishOptions = getPublishOptions(url, headers)
+      const invalidOptions = checkPublishOptions(publishOptions)
+      if (invalidOptions) return invalidOptions
+
+      const importOptions = getImportOptions(url, headers)
+      const invalidImportOptions = checkImportOptions(importOptions)
+      if (invalidImportOptions) return invalidImportOptions
+
+      const ipnsPath = urlToIPNSPath(url)
+      const ipfsPath = await resolveIPNS(ipnsPath, signal)
+
+      const failedPrecondition = await checkPreconditions(ipfsPath, headers, signal)
+      if (failedPrecondition) return failedPrecondition
+
+      const updatedURL = await patchData(ipfsPath, request, importOptions, signal)
+
+      // Publish the new root so every operation lands in one update
+      const cid = updatedURL.slice('ipfs://'.length).split('/')[0]
+      const value = `/ipfs/${cid}/`
 
-      return updateIPNS(keyName, value, signal)
+      return updateIPNS(keyName, value, publishOptions, signal)
     })
 
-    router.delete('ipfs://*/**', async ({ url, signal }) => {
-      const ipfsPath = urlToIPFSPath(url)
+    router.add('MKCOL', 'ipns://*/**', async ({ url, headers, signal }) => {
+      const { hostname: keyName } = new URL(url)
 
-      return deleteData(ipfsPath, signal)
+      const publishOptions = getPublishOptions(url, headers)
+      const invalidOptions = checkPublishOptions(publishOptions)
+      if (invalidOptions) return invalidOptions
+
+      const importOptions = getImportOptions(url, headers)
+      const invalidImportOptions = checkImportOptions(importOptions)
+      if (invalidImportOptions) return invalidImportOptions
+
+      const ipnsPath = urlToIPNSPath(url)
+      const ipfsPath = await resolveIPNS(ipnsPath, signal)
+
+      const failedPrecondition = await checkPreconditions(ipfsPath, headers, signal)
+      if (failedPrecondition) return failedPrecondition
+
+      const updatedURL = await makeCollection(ipfsPath, importOptions, signal)
+
+      const cid = updatedURL.slice('ipfs://'.length).split('/')[0]
+      const value = `/ipfs/${cid}/`
+
+      return updateIPNS(keyName, value, publishOptions, signal)
     })
-    router.delete('ipns://*/**', async ({ url, signal }) => {
+
+    router.add('LOCK', 'ipns://*/**', lockResource)
+    router.add('UNLOCK', 'ipns://*/**', unlockResource)
+
+    for (const method of ['MOVE', 'COPY']) {
+      router.add(method, 'ipns://*/**', async (request) => {
+        const { url, headers, signal } = request
+        const { hostname: keyName } = new URL(url)
+
+        const publishOptions = getPublishOptions(url, headers)
+        const invalidOptions = checkPublishOptions(publishOptions)
+        if (invalidOptions) return invalidOptions
+
+        const importOptions = getImportOptions(url, headers)
+        const invalidImportOptions = checkImportOptions(importOptions)
+        if (invalidImportOptions) return invalidImportOptions
+
+        const ipnsPath = urlToIPNSPath(url)
+        const ipfsPath = await resolveIPNS(ipnsPath, signal)
+
+        const failedPrecondition = await checkPreconditions(ipfsPath, headers, signal)
+        if (failedPrecondition) return failedPrecondition
+
+        const updatedURL = await relinkData(ipfsPath, request, importOptions, signal)
+
+        const cid = updatedURL.slice('ipfs://'.length).split('/')[0]
+        const value = `/ipfs/${cid}/`
+
+        return updateIPNS(keyName, value, publishOptions, signal)
+      })
+    }
+
+    router.delete('ipns://*/**', async ({ url, signal, headers }) => {
       const { hostname: keyName } = new URL(url)
 
+      const publishOptions = getPublishOptions(url, headers)
+      const invalidOptions = checkPublishOptions(publishOptions)
+      if (invalidOptions) return invalidOptions
+
       const ipnsPath = urlToIPNSPath(url)
       const ipfsPath = await resolveIPNS(ipnsPath, signal)
+
+      const failedPrecondition = await checkPreconditions(ipfsPath, headers, signal)
+      if (failedPrecondition) return failedPrecondition
+
       const { body: updatedURL } = await deleteData(ipfsPath, signal)
 
       const value = updatedURL
         .replace(/^ipfs:\/\//, '/ipfs/')
         .replace(/^ipns:\/\//, '/ipns/')
 
-      return updateIPNS(keyName, value, signal)
+      return updateIPNS(keyName, value, publishOptions, signal)
     })
   }
 
@@ -483,72 +984,372 @@ export default function makeIPFSFetch ({
   router.head(`ipns://${SPECIAL_HOSTNAME}/`, onNotFound)
   router.get(`ipns://${SPECIAL_HOSTNAME}/`, onNotFound)
 
-  router.head('ipfs://*/**', async ({ url, signal }) => {
+  router.head('ipfs://*/**', async ({ url, signal, headers }) => {
     const { searchParams } = new URL(url)
     const ipfsPath = urlToIPFSPath(url)
 
-    return serveHead(ipfsPath, searchParams, signal)
+    return serveWithFallbacks(serveHead, url, ipfsPath, searchParams, headers, signal)
   })
-  router.head('ipns://*/**', async ({ url, signal }) => {
-    const { searchParams } = new URL(url)
+  router.head('ipns://*/**', async ({ url, signal, headers }) => {
+    const { searchParams, hostname } = new URL(url)
+    // DNSLink can still work without IPNS support
+    if (!capabilities.ipns && !hostname.includes('.')) return notSupported('IPNS')
+
     let ipfsPath = urlToIPNSPath(url)
     ipfsPath = await resolveIPNS(ipfsPath, signal)
-    return serveHead(ipfsPath, searchParams, signal)
+    const response = await serveWithFallbacks(serveHead, url, ipfsPath, searchParams, headers, signal)
+    return addDNSLinkHeaders(url, response, signal)
   })
 
   router.get('ipfs://*/**', async ({ url, signal, headers }) => {
     const { searchParams } = new URL(url)
     const ipfsPath = urlToIPFSPath(url)
 
-    return serveGet(url, ipfsPath, searchParams, headers, signal)
+    return serveWithFallbacks(serveGet, url, ipfsPath, searchParams, headers, signal)
   })
   router.get('ipns://*/**', async ({ url, signal, headers }) => {
-    const { searchParams } = new URL(url)
+    const { searchParams, hostname } = new URL(url)
+    const format = searchParams.get('format')
+    const accept = headers.get('Accept') || ''
+    if (format === 'ipns-record' || accept.includes(MIME_IPNS_RECORD)) {
+      if (!capabilities.ipnsRecords) return notSupported('IPNS records')
+      return serveIPNSRecord(url, signal)
+    }
+
+    if (!capabilities.ipns && !hostname.includes('.')) return notSupported('IPNS')
+
     let ipfsPath = urlToIPNSPath(url)
     ipfsPath = await resolveIPNS(ipfsPath, signal)
-    return serveGet(url, ipfsPath, searchParams, headers, signal)
+    const response = await serveWithFallbacks(serveGet, url, ipfsPath, searchParams, headers, signal)
+    return addDNSLinkHeaders(url, response, signal)
   })
 
-  async function serveGet (url, ipfsPath, searchParams, reqHeaders, signal) {
-    const format = searchParams.get('format')
-    const accept = reqHeaders.get('Accept') || ''
-    const expectedType = format || accept
+  // WebDAV support so that a local HTTP server can mount sites as network drives
+  router.add('OPTIONS', 'ipfs://*/**', serveOptions)
+  router.add('OPTIONS', 'ipns://*/**', serveOptions)
 
-    const headersResponse = { ...defaultHeaders }
+  router.add('PROPFIND', 'ipfs://*/**', async ({ url, signal, headers }) => {
+    const ipfsPath = urlToIPFSPath(url)
 
-    if (
-      expectedType === 'raw' ||
-      expectedType === 'application/vnd.ipld.raw'
-    ) {
-      const body = await ipfs.block.get(ipfsPath, {
-        timeout,
-        signal
-      })
+    return servePropfind(url, ipfsPath, headers, signal)
+  })
+  router.add('PROPFIND', 'ipns://*/**', async ({ url, signal, headers }) => {
+    const { hostname } = new URL(url)
+    if (!capabilities.ipns && !hostname.includes('.')) return notSupported('IPNS')
 
-      headersResponse['Content-Type'] = 'application/vnd.ipld.raw'
+    let ipfsPath = urlToIPNSPath(url)
+    ipfsPath = await resolveIPNS(ipfsPath, signal)
+
+    return servePropfind(url, ipfsPath, headers, signal)
+  })
+
+  function serveOptions ({ url }) {
+    const { protocol } = new URL(url)
+    const canWrite = writable && capabilities.files && (protocol === 'ipfs:' || capabilities.ipns)
+    const methods = canWrite ? [...DAV_READ_METHODS, ...DAV_WRITE_METHODS] : DAV_READ_METHODS
+
+    return {
+      status: 200,
+      headers: {
+        ...defaultHeaders,
+        Allow: methods.join(', '),
+        // Class 2 means locking is supported, which some clients need before they write
+        DAV: canWrite ? '1, 2' : '1',
+        'MS-Author-Via': 'DAV'
+      }
+    }
+  }
 
+  async function servePropfind (url, ipfsPath, reqHeaders, signal) {
+    // No Depth header means infinity
+    const depth = (reqHeaders.get('Depth') || 'infinity').toLowerCase()
+    if (depth === 'infinity') {
       return {
-        status: 200,
-        headers: headersResponse,
-        body
+        status: 403,
+        headers: defaultHeaders,
+        body: 'PROPFIND with infinite depth is not supported'
       }
     }
 
+    let entry = null
+    try {
+      entry = await getStat(ipfsPath, signal)
+    } catch (e) {
+      if (!isNotFoundError(e)) throw e
+      return {
+        status: 404,
+        headers: defaultHeaders,
+        body: 'Not Found'
+      }
+    }
+
+    const { pathname, hostname } = new URL(url)
+    const segments = pathname.split('/').filter(Boolean)
+    const name = segments.length ? decodeURIComponent(segments[segments.length - 1]) : hostname
+    const isDirectory = entry.type === 'directory'
+    const href = isDirectory ? ensureEndingSlash(pathname) : pathname
+
+    const responses = [renderDAVEntry(href, name, entry)]
+
+    if (isDirectory && depth !== '0') {
+      for await (const child of entry.content({ signal })) {
+        const childName = decodeURIComponent(child.name)
+        const childHref = href + encodeURIComponent(childName) + (child.type === 'directory' ? '/' : '')
+        responses.push(renderDAVEntry(childHref, childName, child))
+      }
+    }
+
+    return {
+      status: 207,
+      headers: {
+        ...defaultHeaders,
+        'Content-Type': `${MIME_XML}; charset=utf-8`
+      },
+      body: renderDAVMultistatus(responses)
+    }
+  }
+
+  // Locks aren't enforced, use If-Match to avoid overwriting changes
+  function lockResource ({ url }) {
+    const token = `opaquelocktoken:${makeUUID()}`
+    const { pathname } = new URL(url)
+
+    return {
+      status: 200,
+      headers: {
+        ...defaultHeaders,
+        'Content-Type': `${MIME_XML}; charset=utf-8`,
+        'Lock-Token': `<${token}>`
+      },
+      body: renderDAVLock(token, pathname)
+    }
+  }
+
+  function unlockResource () {
+    return {
+      status: 204,
+      headers: defaultHeaders
+    }
+  }
+
+  function notSupported (feature) {
+    const { status, message: body } = notSupportedError(feature)
+    return {
+      status,
+      headers: defaultHeaders,
+      body
+    }
+  }
+
+  // If-Match is checked against the root so that writes fail if a name has moved on
+  // If-None-Match is checked against the path so that existing files aren't overwritten
+  async function checkPreconditions (ipfsPath, reqHeaders, signal) {
+    const ifMatch = reqHeaders.get('If-Match')
+    if (ifMatch) {
+      const { rootCID } = cidFromPath(ipfsPath)
+      if (!matchesETag(ifMatch, makeETag(rootCID))) return preconditionFailed(rootCID)
+    }
+
+    if (reqHeaders.get('If-None-Match')) {
+      const cid = await resolvePathCID(ipfsPath, signal)
+      if (cid && isNotModified(reqHeaders, makeETag(cid))) return preconditionFailed(cid)
+    }
+
+    return null
+  }
+
+  async function resolvePathCID (ipfsPath, signal) {
+    try {
+      const { cid } = await ipfs.dag.resolve(ipfsPath, { signal, timeout })
+      return cid
+    } catch (e) {
+      if (isNotFoundError(e)) return null
+      throw e
+    }
+  }
+
+  function preconditionFailed (cid) {
+    const currentURL = `ipfs://${cid.toV1().toString()}/`
+    return {
+      status: 412,
+      headers: {
+        ...defaultHeaders,
+        ETag: makeETag(cid)
+      },
+      body: currentURL
+    }
+  }
+
+  async function serveWithFallbacks (serve, url, ipfsPath, searchParams, reqHeaders, signal) {
+    try {
+      return await serve(url, ipfsPath, searchParams, reqHeaders, signal)
+    } catch (e) {
+      if (e.code === 'ERR_SYMLINK_LOOP') {
+        return {
+          status: 508,
+          headers: defaultHeaders,
+          body: e.message
+        }
+      }
+      if (!isNotFoundError(e)) throw e
+
+      // Data formats shouldn't get swapped out for website content
+      if (!isDataFormat(searchParams, reqHeaders)) {
+        const redirected = await applyRedirects(serve, url, ipfsPath, searchParams, reqHeaders, signal)
+        if (redirected) return redirected
+
+        const notFoundPage = await serveNotFoundPage(serve, url, ipfsPath, searchParams, reqHeaders, signal)
+        if (notFoundPage) return notFoundPage
+      }
+
+      return {
+        status: 404,
+        headers: defaultHeaders,
+        body: 'Not Found'
+      }
+    }
+  }
+
+  async function serveNotFoundPage (serve, url, ipfsPath, searchParams, reqHeaders, signal) {
+    const { rootCID, relativePath } = cidFromPath(ipfsPath)
+    if (!rootCID) return null
+
+    // Look for the page in the nearest ancestor directory first
+    const segments = relativePath.split('/').filter(Boolean).slice(0, -1)
+    for (let length = segments.length; length >= 0; length--) {
+      const directory = segments.slice(0, length).join('/')
+      const pagePath = posixPath.join('/ipfs', rootCID.toString(), directory, NOT_FOUND_PAGE)
+      if (!(await hasFile(pagePath, signal))) continue
+
+      // The page isn't what the client asked for so validators and ranges don't apply
+      const pageHeaders = new Headers(reqHeaders)
+      pageHeaders.delete('Range')
+      pageHeaders.delete('If-Range')
+      pageHeaders.delete('If-None-Match')
+
+      const pageParams = new URLSearchParams(searchParams)
+      pageParams.delete('filename')
+
+      const response = await serve(url, pagePath, pageParams, pageHeaders, signal)
+      const headers = { ...response.headers }
+      delete headers.ETag
+      return { ...response, status: 404, headers }
+    }
+
+    return null
+  }
+
+  async function applyRedirects (serve, url, ipfsPath, searchParams, reqHeaders, signal) {
+    const { rootCID } = cidFromPath(ipfsPath)
+    if (!rootCID) return null
+
+    let rules = null
+    try {
+      rules = await getRedirectRules(rootCID, signal)
+    } catch (e) {
+      return {
+        status: 500,
+        headers: defaultHeaders,
+        body: `Invalid ${REDIRECTS_FILE} file: ${e.message}`
+      }
+    }
+    if (!rules) return null
+
+    const { pathname } = new URL(url)
+    for (const { from, to, status } of rules) {
+      const params = matchRedirect(from, pathname)
+      if (!params) continue
+      const target = to.replace(/:(\w+)/g, (match, name) =>
+        (name in params) ? params[name] : match
+      )
+
+      if (REWRITE_STATUSES.includes(status)) {
+        const rewritePath = urlToIPFSPath(`ipfs://${rootCID}${target}`)
+        let response = null
+        try {
+          response = await serve(url, rewritePath, searchParams, reqHeaders, signal)
+        } catch (e) {
+          // Missing targets fall back to the 404 page
+          if (isNotFoundError(e)) return null
+          throw e
+        }
+        if (status === 200) return response
+        return { ...response, status }
+      }
+
+      const location = new URL(target, url).href
+      return {
+        status,
+        headers: {
+          ...defaultHeaders,
+          Location: location
+        },
+        body: location
+      }
+    }
+
+    return null
+  }
+
+  async function getRedirectRules (rootCID, signal) {
+    const key = rootCID.toString()
+    if (redirectsCache.has(key)) return redirectsCache.get(key)
+
+    let rules = null
+    try {
+      const file = await getStat(`/ipfs/${key}/${REDIRECTS_FILE}`, signal)
+      if (file.type === 'directory') throw new Error('Must be a file')
+      if (file.size > MAX_REDIRECTS_SIZE) {
+        throw new Error(`Must be at most ${MAX_REDIRECTS_SIZE} bytes`)
+      }
+      const chunks = []
+      for await (const chunk of file.content({ signal })) {
+        chunks.push(chunk)
+      }
+      rules = parseRedirects(Buffer.concat(chunks).toString('utf8'))
+    } catch (e) {
+      if (!isNotFoundError(e)) throw e
+    }
+
+    // Root CIDs are immutable so their rules can be kept around
+    if (redirectsCache.size >= MAX_REDIRECTS_CACHE) {
+      redirectsCache.delete(redirectsCache.keys().next().value)
+    }
+    redirectsCache.set(key, rules)
+
+    return rules
+  }
+
+  async function serveGet (url, ipfsPath, searchParams, reqHeaders, signal) {
+    const format = searchParams.get('format')
+    const accept = reqHeaders.get('Accept') || ''
+    const expectedType = format || accept
+
+    const headersResponse = {
+      ...defaultHeaders,
+      'Cache-Control': cacheControlFor(url)
+    }
+
     if (
-      expectedType === 'car' ||
-      expectedType === 'application/vnd.ipld.car'
+      expectedType === 'raw' ||
+      expectedType === 'application/vnd.ipld.raw'
     ) {
       const { cid } = await ipfs.dag.resolve(ipfsPath, {
         timeout,
         signal
       })
-      // must resolve to a CID to export, paths not supported here
-      const body = ipfs.dag.export(cid, {
+
+      headersResponse.ETag = makeETag(cid, 'raw')
+      if (isNotModified(reqHeaders, headersResponse.ETag)) {
+        return notModified(headersResponse)
+      }
+
+      const body = await ipfs.block.get(cid, {
         timeout,
         signal
       })
 
-      headersResponse['Content-Type'] = 'application/vnd.ipld.car'
+      headersResponse['Content-Type'] = 'application/vnd.ipld.raw'
 
       return {
         status: 200,
@@ -557,24 +1358,40 @@ export default function makeIPFSFetch ({
       }
     }
 
-    const stat = await getStat(ipfsPath)
+    if (expectedType === 'car' || expectedType.startsWith(MIME_CAR)) {
+      return serveCAR(ipfsPath, searchParams, accept, headersResponse, reqHeaders, signal)
+    }
+
+    if (expectedType === 'tar' || expectedType.startsWith(MIME_TAR)) {
+      return serveTAR(url, ipfsPath, headersResponse, reqHeaders, signal)
+    }
+
+    const noResolve = searchParams.has('noResolve')
+    const resolved = await statFollowingSymlinks(ipfsPath, !noResolve, signal)
+    const { stat } = resolved
+    ipfsPath = resolved.ipfsPath
 
-    if (stat.type === 'directory') {
+    if (isSymlink(stat)) {
+      return serveSymlink(stat, headersResponse, reqHeaders)
+    } else if (stat.type === 'directory') {
       // Probably a directory
 
       let body = null
 
       try {
-        const stats = await collect(ipfs.ls(ipfsPath, { signal, timeout }))
-        // Decode path segments for accurate file names
-        const files = stats.map(({ name, type }) =>
-          type === 'dir' ? `${decodeURIComponent(name)}/` : decodeURIComponent(name)
-        )
-
-        if (files.includes('index.html')) {
-          if (!searchParams.has('noResolve')) {
+        const listingFormat = getListingFormat(searchParams, accept)
+        const pageOptions = getPageOptions(searchParams)
+        const { isPaged, limit, cursor } = pageOptions
+        // Asking for a specific listing skips index.html resolution
+        const isExplicitListing = isPaged ||
+          listingFormat === 'stat' ||
+          listingFormat === 'ndjson'
+
+        if (!isExplicitListing && !noResolve) {
+          const indexPath = await findIndexFile(ipfsPath, signal)
+          if (indexPath) {
             return serveFile(
-              posixPath.join(ipfsPath, 'index.html'),
+              indexPath,
               searchParams,
               reqHeaders,
               headersResponse,
@@ -583,20 +1400,60 @@ export default function makeIPFSFetch ({
           }
         }
 
-        if (accept.includes('text/html')) {
+        const invalidPage = checkPageOptions(searchParams, pageOptions)
+        if (invalidPage) return invalidPage
+
+        const after = await findCursor(stat, cursor, signal)
+
+        // Pages of a listing aren't the full representation of the directory
+        if (!isPaged) {
+          headersResponse.ETag = makeETag(stat.cid, listingFormat)
+          if (isNotModified(reqHeaders, headersResponse.ETag)) {
+            return notModified(headersResponse)
+          }
+        }
+
+        headersResponse['Content-Type'] = getListingContentType(listingFormat)
+
+        if (listingFormat === 'ndjson') {
+          const entries = isPaged
+            ? iteratePage(url, stat, limit, after, signal)
+            : iterateListing(url, ipfsPath, signal)
+          return {
+            status: 200,
+            headers: headersResponse,
+            body: streamListing(entries)
+          }
+        }
+
+        const entries = []
+        if (isPaged) {
+          const { links, hasNext } = await getPageLinks(stat, limit, after, signal)
+          for (const link of links) {
+            entries.push(await statLink(url, link, signal))
+          }
+          if (hasNext) {
+            headersResponse.Link = makeNextPageLink(url, limit, links[links.length - 1])
+          }
+        } else {
+          for await (const entry of iterateListing(url, ipfsPath, signal)) {
+            entries.push(entry)
+          }
+        }
+        const files = entries.map(({ name }) => name)
+
+        if (listingFormat === 'stat') {
+          body = JSON.stringify(entries, null, '\t')
+        } else if (listingFormat === 'html') {
           // Encode file names to handle spaces and special characters
           const encodedFiles = files.map((file) =>
             file.endsWith('/')
               ? `${encodeURIComponent(file.slice(0, -1))}/`
               : encodeURIComponent(file)
           )
-          const page = await renderIndex(url, encodedFiles, fetch)
-          headersResponse['Content-Type'] = 'text/html; charset=utf-8'
-          body = page
+          body = await renderIndex(url, encodedFiles, fetch, entries)
         } else {
-          const json = JSON.stringify(files, null, '\t')
-          headersResponse['Content-Type'] = `${MIME_JSON}; charset=utf-8`
-          body = json
+          body = JSON.stringify(files, null, '\t')
         }
 
         return {
@@ -604,7 +1461,8 @@ export default function makeIPFSFetch ({
           headers: headersResponse,
           body
         }
-      } catch {
+      } catch (e) {
+        if (e.code === 'ERR_INVALID_REQUEST') throw e
         return serveFile(ipfsPath, searchParams, reqHeaders, headersResponse, signal)
       }
     } else {
@@ -612,288 +1470,2409 @@ export default function makeIPFSFetch ({
     }
   }
 
-  async function serveHead (ipfsPath, searchParams, signal) {
-    const noResolve = searchParams.has('noResolve')
+  async function serveCAR (ipfsPath, searchParams, accept, headers, reqHeaders, signal) {
+    const carOptions = getCAROptions(searchParams, accept)
+    const invalidOptions = checkCAROptions(carOptions)
+    if (invalidOptions) return invalidOptions
+
+    const { dagScope, entityBytes } = carOptions
+    const { rootCID } = cidFromPath(ipfsPath)
+
+    // Resolving the path loads the blocks needed to verify it
+    const { blockstore, takeBlocks } = makeRecordingBlockstore(signal)
+    const entry = await exporter(ipfsPath, blockstore, { signal, timeout })
+
+    let range = null
+    if (entityBytes && entry.type === 'file') {
+      range = getEntityRange(parseEntityBytes(entityBytes), Number(entry.size))
+    }
+
+    // The path is part of the response so it needs to be part of the ETag
+    const variant = crypto
+      .createHash('sha256')
+      .update(`${ipfsPath}|${dagScope}|${entityBytes || ''}`)
+      .digest('hex')
+      .slice(0, 16)
+    headers.ETag = makeETag(entry.cid, `car.${variant}`)
+    if (isNotModified(reqHeaders, headers.ETag)) {
+      return notModified(headers)
+    }
+
+    headers['Content-Type'] = `${MIME_CAR}; version=1; order=dfs; dups=n`
+    headers['X-Content-Type-Options'] = 'nosniff'
+
+    return {
+      status: 200,
+      headers,
+      body: exportCAR(rootCID || entry.cid, entry, dagScope, range, takeBlocks, signal)
+    }
+  }
+
+  async function * exportCAR (root, entry, dagScope, range, takeBlocks, signal) {
+    yield encodeCARHeader(root)
+
+    let blocks = []
+    if (dagScope === 'all') {
+      blocks = walkDAG(entry.cid, new Set(), signal)
+    } else if (dagScope === 'entity') {
+      blocks = walkEntity(entry, range, takeBlocks, signal)
+    }
+
+    // Blocks loaded while resolving the path come first
+    const written = new Set()
+    for await (const { cid, bytes } of concatBlocks(takeBlocks(), blocks)) {
+      const key = cid.toString()
+      if (written.has(key)) continue
+      written.add(key)
+      yield encodeCARBlock(cid, bytes)
+    }
+  }
+
+  async function * concatBlocks (...sources) {
+    for (const source of sources) yield * source
+  }
+
+  async function * walkDAG (cid, visited, signal) {
+    const key = cid.toString()
+    if (visited.has(key)) return
+    visited.add(key)
+    // Identity CIDs have their data inline
+    if (cid.multihash.code === IDENTITY_HASH_CODE) return
+
+    const bytes = await ipfs.block.get(cid, { timeout, signal })
+    yield { cid, bytes }
+
+    for (const link of getLinks(cid, bytes)) {
+      yield * walkDAG(link, visited, signal)
+    }
+  }
+
+  async function * walkEntity (entry, range, takeBlocks, signal) {
+    if (entry.type === 'file') {
+      if (range && range.end < range.start) return
+      const options = range
+        ? { offset: range.start, length: range.end - range.start + 1 }
+        : {}
+      // Reading the content loads just the blocks we need for the range
+      const content = entry.content(options)
+      while (!(await content.next()).done) {
+        yield * takeBlocks()
+      }
+    } else if (entry.type === 'directory' && entry.unixfs.type === 'hamt-sharded-directory') {
+      const padLength = getShardPadLength(entry.unixfs)
+      yield * walkShards(entry.node, padLength, signal)
+    }
+  }
+
+  async function * walkShards (node, padLength, signal) {
+    for (const { Name, Hash } of node.Links) {
+      // Links with just the prefix as their name point to more shards
+      if (Name.length !== padLength) continue
+      const bytes = await ipfs.block.get(Hash, { timeout, signal })
+      yield { cid: Hash, bytes }
+      yield * walkShards(dagPB.decode(bytes), padLength, signal)
+    }
+  }
+
+  async function serveTAR (url, ipfsPath, headers, reqHeaders, signal) {
+    const entry = await getStat(ipfsPath, signal)
+    if (!TAR_UNIXFS_TYPES.includes(entry.type)) {
+      return {
+        status: 400,
+        headers: defaultHeaders,
+        body: `Only UnixFS data can be downloaded as a tar. Got ${entry.type}`
+      }
+    }
+
+    headers.ETag = makeETag(entry.cid, 'tar')
+    if (isNotModified(reqHeaders, headers.ETag)) {
+      return notModified(headers)
+    }
+
+    // Entries go under a folder named after the URL, or the CID at the root
+    const segments = new URL(url).pathname.split('/').filter(Boolean)
+    const name = segments.length
+      ? decodeURIComponent(segments[segments.length - 1])
+      : entry.cid.toString()
+
+    headers['Content-Type'] = MIME_TAR
+    headers['Content-Disposition'] = `attachment; filename*=UTF-8''${encodeURIComponent(name)}.tar`
+
+    return {
+      status: 200,
+      headers,
+      body: exportTAR(entry, name, signal)
+    }
+  }
+
+  async function * exportTAR (entry, name, signal) {
+    yield * tarEntry(entry, name, signal)
+    // Archives end with two empty blocks
+    yield new Uint8Array(TAR_BLOCK_SIZE * 2)
+  }
+
+  async function * tarEntry (entry, name, signal) {
+    const { unixfs } = entry
+    const mode = unixfs ? unixfs.mode : 0o644
+    const mtime = (unixfs && unixfs.mtime) ? Number(unixfs.mtime.secs) : 0
+
+    if (entry.type === 'directory') {
+      yield makeTarHeader({ name: `${name}/`, mode, mtime, type: '5' })
+      for await (const child of entry.content({ signal })) {
+        // Link names are stored URL encoded
+        yield * tarEntry(child, `${name}/${decodeURIComponent(child.name)}`, signal)
+      }
+    } else if (isSymlink(entry)) {
+      const linkname = getSymlinkTarget(entry)
+      yield makeTarHeader({ name, mode, mtime, type: '2', linkname })
+    } else {
+      const size = Number(entry.size)
+      yield makeTarHeader({ name, size, mode, mtime })
+      // Empty chunks would stall the response body
+      for await (const chunk of entry.content({ signal })) {
+        if (chunk.length) yield chunk
+      }
+      const padding = tarPadding(size)
+      if (padding.length) yield padding
+    }
+  }
+
+  function makeRecordingBlockstore (signal) {
+    let blocks = []
+    const blockstore = {
+      async get (cid, options = {}) {
+        const bytes = await ipfs.block.get(cid, { timeout, signal, ...options })
+        blocks.push({ cid, bytes })
+        return bytes
+      }
+    }
+    function takeBlocks () {
+      const taken = blocks
+      blocks = []
+      return taken
+    }
+    return { blockstore, takeBlocks }
+  }
+
+  function checkCAROptions ({ version, order, dups, dagScope, entityBytes }) {
+    if (!CAR_VERSIONS.includes(version)) {
+      return {
+        status: 406,
+        headers: defaultHeaders,
+        body: `Unsupported CAR version ${version}, must be one of ${CAR_VERSIONS.join(', ')}`
+      }
+    }
+    if (!CAR_ORDERS.includes(order)) {
+      return {
+        status: 406,
+        headers: defaultHeaders,
+        body: `Unsupported CAR order ${order}, must be one of ${CAR_ORDERS.join(', ')}`
+      }
+    }
+    if (!CAR_DUPS.includes(dups)) {
+      return {
+        status: 406,
+        headers: defaultHeaders,
+        body: `Unsupported CAR dups ${dups}, must be one of ${CAR_DUPS.join(', ')}`
+      }
+    }
+    if (!DAG_SCOPES.includes(dagScope)) {
+      return {
+        status: 400,
+        headers: defaultHeaders,
+        body: `Invalid dag-scope, must be one of ${DAG_SCOPES.join(', ')}. Got ${dagScope}`
+      }
+    }
+    if (entityBytes) {
+      const parsed = parseEntityBytes(entityBytes)
+      if (!parsed) {
+        return {
+          status: 400,
+          headers: defaultHeaders,
+          body: `Invalid entity-bytes, must be in the form from:to. Got ${entityBytes}`
+        }
+      }
+      if (dagScope !== 'entity') {
+        return {
+          status: 400,
+          headers: defaultHeaders,
+          body: 'entity-bytes can only be used with dag-scope=entity'
+        }
+      }
+    }
+    return null
+  }
+
+  async function serveHead (url, ipfsPath, searchParams, reqHeaders, signal) {
+    const noResolve = searchParams.has('noResolve')
+    const accept = reqHeaders.get('Accept') || ''
+    const expectedType = searchParams.get('format') || accept
+    const cacheControl = cacheControlFor(url)
+
+    if (expectedType === 'tar' || expectedType.startsWith(MIME_TAR)) {
+      // The archive only gets generated once the body is read
+      const headers = { ...defaultHeaders, 'Cache-Control': cacheControl }
+      const { status, headers: tarHeaders } = await serveTAR(url, ipfsPath, headers, reqHeaders, signal)
+      return { status, headers: tarHeaders }
+    }
+
+    const resolved = await statFollowingSymlinks(ipfsPath, !noResolve, signal)
+    const { stat } = resolved
+    ipfsPath = resolved.ipfsPath
+
+    if (isSymlink(stat)) {
+      const headers = { ...defaultHeaders, 'Cache-Control': cacheControl }
+      const { status } = serveSymlink(stat, headers, reqHeaders)
+      return { status, headers }
+    } else if (stat.type === 'directory') {
+      const listingFormat = getListingFormat(searchParams, accept)
+      const { isPaged } = getPageOptions(searchParams)
+      // Same as GET, noResolve and explicit listings skip index.html resolution
+      const isExplicitListing = isPaged ||
+        listingFormat === 'stat' ||
+        listingFormat === 'ndjson'
+      const indexPath = (isExplicitListing || noResolve) ? null : await findIndexFile(ipfsPath, signal)
+      if (indexPath) {
+        ipfsPath = indexPath
+      } else {
+        const headers = { ...defaultHeaders, 'Cache-Control': cacheControl }
+        return serveListingHead(url, stat, searchParams, listingFormat, headers, reqHeaders, signal)
+      }
+    }
+
+    const finalStat = await getStat(ipfsPath, signal)
+    const { size, cid } = finalStat
+    const mimeName = searchParams.get('filename') || ipfsPath
+
+    const headers = {
+      ...defaultHeaders,
+      'Cache-Control': cacheControl,
+      ETag: makeETag(cid),
+      'Accept-Ranges': 'bytes',
+      'Content-Type': getMimeType(mimeName),
+      'Content-Length': `${size}`
+    }
+
+    if (isNotModified(reqHeaders, headers.ETag)) {
+      return notModified(headers)
+    }
+
+    return {
+      status: 200,
+      headers
+    }
+  }
+
+  // Same headers as the listing GET would send, without loading the entries
+  async function serveListingHead (url, stat, searchParams, listingFormat, headers, reqHeaders, signal) {
+    const pageOptions = getPageOptions(searchParams)
+    const { isPaged, limit, cursor } = pageOptions
+    const invalidPage = checkPageOptions(searchParams, pageOptions)
+    if (invalidPage) return { status: invalidPage.status, headers: invalidPage.headers }
+
+    const after = await findCursor(stat, cursor, signal)
+
+    if (!isPaged) {
+      headers.ETag = makeETag(stat.cid, listingFormat)
+      if (isNotModified(reqHeaders, headers.ETag)) {
+        return notModified(headers)
+      }
+    }
+
+    headers['Content-Type'] = getListingContentType(listingFormat)
+
+    // Streamed pages don't know if there's a next page when the headers get sent
+    if (isPaged && listingFormat !== 'ndjson') {
+      const { links, hasNext } = await getPageLinks(stat, limit, after, signal)
+      if (hasNext) headers.Link = makeNextPageLink(url, limit, links[links.length - 1])
+    }
+
+    return {
+      status: 200,
+      headers
+    }
+  }
+
+  async function serveFile (path, searchParams, reqHeaders, headers = { ...defaultHeaders }, signal) {
+    headers['Accept-Ranges'] = 'bytes'
+
+    // Probably a file
+    const file = await getStat(path)
+    const { size, cid } = file
+    const mimeName = searchParams.get('filename') || path
+
+    headers['Content-Type'] = getMimeType(mimeName)
+    headers.ETag = makeETag(cid)
+
+    if (isNotModified(reqHeaders, headers.ETag)) {
+      return notModified(headers)
+    }
+
+    // If-Range only lets the range through if the file hasn't changed
+    const ifRange = reqHeaders.get('If-Range')
+    const rangeMatches = !ifRange || ifRange.trim() === headers.ETag
+    const isRanged = rangeMatches ? (reqHeaders.get('Range') || '') : ''
+
+    if (isRanged) {
+      const ranges = parseRange(size, isRanged, { combine: true })
+      if (ranges === -1) {
+        return {
+          status: 416,
+          headers: {
+            ...defaultHeaders,
+            'Accept-Ranges': 'bytes',
+            'Content-Range': `bytes */${size}`
+          },
+          body: 'Range Not Satisfiable'
+        }
+      } else if (ranges && ranges.length > 1 && ranges.type === 'bytes') {
+        const boundary = crypto.randomBytes(16).toString('hex')
+        const partType = headers['Content-Type']
+        const parts = ranges.map(({ start, end }, index) => {
+          // Every part after the first needs a CRLF before its boundary
+          const prefix = index ? '\r\n' : ''
+          const partHeaders = `${prefix}--${boundary}\r\nContent-Type: ${partType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+          return { start, end, partHeaders }
+        })
+        const closing = `\r\n--${boundary}--\r\n`
+
+        const length = parts.reduce(
+          (total, { start, end, partHeaders }) =>
+            total + Buffer.byteLength(partHeaders) + (end - start + 1),
+          Buffer.byteLength(closing)
+        )
+
+        headers['Content-Type'] = `multipart/byteranges; boundary=${boundary}`
+        headers['Content-Length'] = `${length}`
+        return {
+          status: 206,
+          headers,
+          body: catRanges(path, parts, closing, signal)
+        }
+      } else if (ranges && ranges.length && ranges.type === 'bytes') {
+        const [{ start, end }] = ranges
+        const length = end - start + 1
+        headers['Content-Length'] = `${length}`
+        headers['Content-Range'] = `bytes ${start}-${end}/${size}`
+        return {
+          status: 206,
+          headers,
+          body: ipfs.cat(path, { signal, offset: start, length, timeout })
+        }
+      } else {
+        headers['Content-Length'] = `${size}`
+        return {
+          status: 200,
+          headers,
+          body: ipfs.cat(path, { signal, timeout })
+        }
+      }
+    } else {
+      headers['Content-Length'] = `${size}`
+      return {
+        status: 200,
+        headers,
+        body: ipfs.cat(path, { signal, timeout })
+      }
+    }
+  }
+
+  async function * iterateListing (url, ipfsPath, signal) {
+    for await (const stat of ipfs.ls(ipfsPath, { signal, timeout })) {
+      yield makeListingEntry(url, stat)
+    }
+  }
+
+  // Pages walk the links of the directory so that only the listed entries get loaded
+  async function * iterateLinks (stat, after, signal) {
+    const isSharded = stat.unixfs.type === 'hamt-sharded-directory'
+    const padLength = isSharded ? getShardPadLength(stat.unixfs) : 0
+
+    // Positions are the index of the link within each shard on the way to it
+    async function * walk (links, position, after) {
+      const [afterIndex, ...afterRest] = after
+      // Resume within the shard the last link came from, or right after it
+      let start = 0
+      if (afterIndex !== undefined) start = afterRest.length ? afterIndex : afterIndex + 1
+
+      for (let index = start; index < links.length; index++) {
+        const { Name: name = '', Hash: cid } = links[index]
+        const linkPosition = [...position, index]
+        // Links with just the prefix as their name point to more shards
+        if (isSharded && name.length === padLength) {
+          const { Links } = dagPB.decode(await ipfs.block.get(cid, { timeout, signal }))
+          yield * walk(Links, linkPosition, index === afterIndex ? afterRest : [])
+        } else {
+          yield { name: name.slice(padLength), cid, position: linkPosition }
+        }
+      }
+    }
+
+    yield * walk(stat.node.Links, [], after)
+  }
+
+  // Cursors are the name of the last entry from the previous page
+  async function findCursor (stat, cursor, signal) {
+    if (cursor === null) return []
+
+    const key = `${stat.cid}/${cursor}`
+    if (listingCursors.has(key)) return listingCursors.get(key)
+
+    for await (const { name, position } of iterateLinks(stat, [], signal)) {
+      if (decodeURIComponent(name) === cursor) return position
+    }
+
+    throw requestError(400, `Unknown cursor, no entry named ${cursor} in this directory`)
+  }
+
+  function checkPageOptions (searchParams, { limit }) {
+    if (!(limit > 0)) {
+      return {
+        status: 400,
+        headers: defaultHeaders,
+        body: `Invalid limit, must be a positive integer. Got ${searchParams.get('limit')}`
+      }
+    }
+    return null
+  }
+
+  function rememberCursor (stat, { name, position }) {
+    if (listingCursors.size >= MAX_LISTING_CURSORS) {
+      listingCursors.delete(listingCursors.keys().next().value)
+    }
+    listingCursors.set(`${stat.cid}/${decodeURIComponent(name)}`, position)
+  }
+
+  async function getPageLinks (stat, limit, after, signal) {
+    const links = []
+    for await (const link of iterateLinks(stat, after, signal)) {
+      if (links.length >= limit) {
+        rememberCursor(stat, links[links.length - 1])
+        return { links, hasNext: true }
+      }
+      links.push(link)
+    }
+    return { links, hasNext: false }
+  }
+
+  async function * iteratePage (url, stat, limit, after, signal) {
+    let last = null
+    let count = 0
+    for await (const link of iterateLinks(stat, after, signal)) {
+      if (count++ >= limit) {
+        rememberCursor(stat, last)
+        return
+      }
+      yield await statLink(url, link, signal)
+      last = link
+    }
+  }
+
+  async function statLink (url, { name, cid }, signal) {
+    const { type, size } = await getStat(cid, signal)
+    return makeListingEntry(url, {
+      name,
+      cid,
+      size,
+      type: type === 'directory' ? 'dir' : 'file'
+    })
+  }
+
+  async function hasFile (path, signal) {
+    try {
+      const { type } = await getStat(path, signal)
+      return type !== 'directory'
+    } catch {
+      return false
+    }
+  }
+
+  async function findIndexFile (ipfsPath, signal) {
+    try {
+      // The index can be a symlink to the page that should get served
+      const { ipfsPath: indexPath, stat } = await statFollowingSymlinks(
+        posixPath.join(ipfsPath, 'index.html'),
+        true,
+        signal
+      )
+      return stat.type !== 'directory' ? indexPath : null
+    } catch {
+      return null
+    }
+  }
+
+  // Walking the path for symlinks only happens once the exporter runs into one
+  // Paths that go through a symlink aren't found, and links at the end need following
+  async function statFollowingSymlinks (ipfsPath, followLast, signal) {
+    try {
+      const stat = await getStat(ipfsPath, signal)
+      if (!followLast || !isSymlink(stat)) return { ipfsPath, stat }
+    } catch (e) {
+      if (!isNotFoundError(e)) throw e
+    }
+
+    const resolvedPath = await resolveSymlinks(ipfsPath, followLast, signal)
+    return { ipfsPath: resolvedPath, stat: await getStat(resolvedPath, signal) }
+  }
+
+  // Symlink targets are relative to the directory the link is in
+  // Absolute targets start from the root CID since there's no other root to use
+  async function resolveSymlinks (ipfsPath, followLast, signal) {
+    const { rootCID, relativePath } = cidFromPath(ipfsPath)
+    if (!rootCID) return ipfsPath
+
+    const rootPath = `/ipfs/${rootCID}`
+    let segments = relativePath.split('/').filter(Boolean)
+    for (let hops = 0; hops <= MAX_SYMLINK_HOPS; hops++) {
+      const path = [rootPath, ...segments].join('/')
+      const link = await findSymlink(rootPath, segments, signal)
+      if (!link) return hops ? path : ipfsPath
+
+      // Entry paths start with the root CID followed by the segments to the link
+      const depth = link.path.split('/').length - 1
+      const rest = segments.slice(depth)
+      if (!rest.length && !followLast) return hops ? path : ipfsPath
+
+      const target = getSymlinkTarget(link)
+      const base = target.startsWith('/') ? [] : segments.slice(0, depth - 1)
+      // Targets are plain paths but the segments are URL encoded like link names
+      const targetSegments = target.split('/').map((segment) => encodeURIComponent(segment))
+      segments = posixPath.join('/', ...base, ...targetSegments, ...rest).split('/').filter(Boolean)
+    }
+
+    throw symlinkLoopError(`Too many levels of symbolic links in ${ipfsPath}`)
+  }
+
+  async function findSymlink (rootPath, segments, signal) {
+    const path = [rootPath, ...segments].join('/')
+    let depth = 0
+    try {
+      for await (const entry of walkPath(path, ipfs.block, { signal, preload: false, timeout })) {
+        if (isSymlink(entry)) return entry
+        depth = entry.path.split('/').length - 1
+      }
+      return null
+    } catch (e) {
+      if (!isNotFoundError(e) || depth >= segments.length) throw e
+      // Paths that go through a symlink fail before the link gets yielded
+      const entry = await getStat([rootPath, ...segments.slice(0, depth + 1)].join('/'), signal)
+      if (isSymlink(entry)) return entry
+      throw e
+    }
+  }
+
+  function serveSymlink (entry, headers, reqHeaders) {
+    const target = getSymlinkTarget(entry)
+
+    headers['Content-Type'] = MIME_SYMLINK
+    headers.ETag = makeETag(entry.cid)
+
+    if (isNotModified(reqHeaders, headers.ETag)) {
+      return notModified(headers)
+    }
+
+    headers['Content-Length'] = `${Buffer.byteLength(target)}`
+
+    return {
+      status: 200,
+      headers,
+      body: target
+    }
+  }
+
+  function cacheControlFor (url) {
+    const { protocol } = new URL(url)
+    if (protocol === 'ipns:') return `public, max-age=${ipnsMaxAge}`
+    return `public, max-age=${IPFS_MAX_AGE}, immutable`
+  }
+
+  async function * catRanges (path, parts, closing, signal) {
+    for (const { start, end, partHeaders } of parts) {
+      yield partHeaders
+      const length = end - start + 1
+      yield * ipfs.cat(path, { signal, offset: start, length, timeout })
+    }
+    yield closing
+  }
+
+  async function getStat (path, signal) {
+    return exporter(path, ipfs.block, { signal, preload: false, timeout })
+  }
+
+  async function resolveIPNS (path, signal) {
+    const segments = ensureStartingSlash(path).split(/\/+/)
+    let mainSegment = segments[2]
+
+    if (mainSegment.includes('.')) {
+      const { value } = await resolveDNSLinkChain(mainSegment, signal)
+      // DNSLink can point at IPNS keys which need to be resolved further
+      const needsIPNS = value.startsWith('/ipns/')
+      if (needsIPNS && !capabilities.ipns) throw notSupportedError('Resolving IPNS names')
+      const resolved = needsIPNS
+        ? await ipfs.resolve(value, { signal, timeout: ipnsTimeout })
+        : value
+      return [stripEndingSlash(resolved), ...segments.slice(3)].join('/')
+    } else if (!capabilities.ipns) {
+      throw notSupportedError('Resolving IPNS names')
+    } else {
+      const keys = await ipfs.key.list({ signal, timeout: ipnsTimeout })
+      const keyForName = keys.find(({ name }) => name === mainSegment)
+      if (keyForName) {
+        mainSegment = keyForName.id + '/'
+      }
+    }
+
+    const toResolve = `/ipns${ensureEndingSlash(ensureStartingSlash(mainSegment))}`
+    const resolved = await ipfs.resolve(toResolve, { signal, timeout: ipnsTimeout })
+    return [resolved, ...segments.slice(3)].join('/')
+  }
+
+  async function lookupDNSLink (hostname, signal) {
+    if (dnslinkOverrides[hostname]) return dnslinkOverrides[hostname]
+
+    const cached = dnslinkCache.get(hostname)
+    if (cached) {
+      dnslinkCache.delete(hostname)
+      if (cached.expires > Date.now()) {
+        // Move it to the end so the least recently used entries get dropped first
+        dnslinkCache.set(hostname, cached)
+        return cached.value
+      }
+    }
+
+    const result = await resolveDNSLink(hostname, { signal })
+    // Resolvers can return `{ value, ttl }` to say how long the record lives for
+    const { value, ttl } = (result && typeof result === 'object') ? result : { value: result }
+    if (!value) {
+      throw requestError(404, `No DNSLink found for ${hostname}`)
+    }
+
+    const cacheTime = ttl === undefined ? dnslinkCacheTime : Math.min(ttl * 1000, dnslinkCacheTime)
+    if (cacheTime > 0) {
+      if (dnslinkCache.size >= MAX_DNSLINK_CACHE) {
+        dnslinkCache.delete(dnslinkCache.keys().next().value)
+      }
+      dnslinkCache.set(hostname, {
+        value,
+        expires: Date.now() + cacheTime
+      })
+    }
+
+    return value
+  }
+
+  async function resolveDNSLinkChain (hostname, signal) {
+    const chain = [`/ipns/${hostname}`]
+    let current = hostname
+    // Paths within DNSLink values get appended to whatever they point to
+    let remainder = []
+
+    for (let depth = 0; depth < MAX_DNSLINK_DEPTH; depth++) {
+      const rawValue = await lookupDNSLink(current, signal)
+      const value = rawValue
+        .replace(/^ipfs:\/\//, '/ipfs/')
+        .replace(/^ipns:\/\//, '/ipns/')
+
+      const [empty, namespace, name, ...rest] = value.split('/')
+      if (empty || !name || (namespace !== 'ipfs' && namespace !== 'ipns')) {
+        throw new Error(`Invalid DNSLink for ${current}: ${rawValue}`)
+      }
+
+      chain.push(value)
+      remainder = [...rest.filter(Boolean), ...remainder]
+
+      if (namespace === 'ipns' && name.includes('.')) {
+        current = name
+        continue
+      }
+
+      return {
+        chain,
+        value: [`/${namespace}/${name}`, ...remainder].join('/')
+      }
+    }
+
+    throw new Error(`DNSLink for ${hostname} has too many levels of indirection`)
+  }
+
+  async function addDNSLinkHeaders (url, response, signal) {
+    const { hostname } = new URL(url)
+    if (!hostname.includes('.')) return response
+
+    // This will be cached from when the URL got resolved
+    const { chain } = await resolveDNSLinkChain(hostname, signal)
+
+    return {
+      ...response,
+      headers: {
+        ...response.headers,
+        'X-DNSLink-Chain': chain.join(', ')
+      }
+    }
+  }
+
+  async function getIPNSRecordKey (url, signal) {
+    const { hostname, pathname } = new URL(url)
+
+    if (pathname !== '/') {
+      throw requestError(400, 'IPNS records can only be used at the root of a name')
+    }
+    if (hostname.includes('.')) {
+      throw requestError(400, 'DNSLink names do not have IPNS records')
+    }
+
+    // Allow using local key names instead of their public keys
+    const keyData = capabilities.ipns ? await hasKey(hostname, signal) : null
+    const id = keyData ? keyData.id : hostname
+
+    let name = null
+    try {
+      name = peerIdToCID(id).toString(base36)
+    } catch (e) {
+      throw requestError(400, `Invalid IPNS name: ${hostname}`)
+    }
+
+    return { name, routingKey: `/ipns/${name}` }
+  }
+
+  async function serveIPNSRecord (url, signal) {
+    const { name, routingKey } = await getIPNSRecordKey(url, signal)
+
+    let record = null
+    try {
+      for await (const event of ipfs.dht.get(routingKey, { signal, timeout: ipnsTimeout })) {
+        if (event.name === 'VALUE') {
+          record = event.value
+          break
+        }
+      }
+    } catch (e) {
+      // Nodes throw instead of ending the query when nobody has the record
+      if (!isNotFoundError(e)) throw e
+    }
+
+    if (!record) {
+      return {
+        status: 404,
+        headers: defaultHeaders,
+        body: 'IPNS Record Not Found'
+      }
+    }
+
+    return {
+      status: 200,
+      headers: {
+        ...defaultHeaders,
+        'Content-Type': MIME_IPNS_RECORD,
+        'Content-Disposition': `attachment; filename="${name}.ipns-record"`,
+        'Cache-Control': cacheControlFor(url)
+      },
+      body: record
+    }
+  }
+
+  async function uploadIPNSRecord (request) {
+    const { url, signal } = request
+    const { name, routingKey } = await getIPNSRecordKey(url, signal)
+    const record = new Uint8Array(await request.arrayBuffer())
+
+    if (!record.length) {
+      return {
+        status: 400,
+        headers: defaultHeaders,
+        body: 'Must specify a signed IPNS record in the body'
+      }
+    }
+
+    const errors = []
+    let accepted = 0
+    try {
+      // The node validates the signature and sequence number of the record
+      for await (const event of ipfs.dht.put(routingKey, record, { signal, timeout: ipnsTimeout })) {
+        if (event.name === 'PEER_RESPONSE') accepted++
+        if (event.name !== 'QUERY_ERROR') continue
+        // The record still gets stored locally
+        if (event.error.message.includes(DHT_NO_PEERS_ERROR)) continue
+        errors.push(event.error.message)
+      }
+    } catch (e) {
+      return {
+        status: 400,
+        headers: defaultHeaders,
+        body: `Unable to publish IPNS record: ${e.message}`
+      }
+    }
+
+    // Invalid records show up as query errors rather than being thrown
+    if (errors.length && !accepted) {
+      return {
+        status: 400,
+        headers: defaultHeaders,
+        body: `Unable to publish IPNS record: ${errors.join('\n')}`
+      }
+    }
+
+    const ipnsURL = `ipns://${name}/`
+
+    return {
+      status: 201,
+      headers: {
+        ...defaultHeaders,
+        Location: ipnsURL
+      },
+      body: ipnsURL
+    }
+  }
+
+  // Options that aren't set are left out so the node's defaults get used
+  function getPublishOptions (url, headers) {
+    const { searchParams } = new URL(url)
+    const lifetime = searchParams.get('lifetime') || headers.get('X-IPNS-Lifetime') || ipnsLifetime
+    const ttl = searchParams.get('ttl') || headers.get('X-IPNS-TTL') || ipnsTTL
+    const sequence = searchParams.get('sequence') || headers.get('X-IPNS-Sequence')
+
+    return withoutEmpty({ lifetime, ttl, sequence })
+  }
+
+  function getImportOptions (url, headers) {
+    const { searchParams } = new URL(url)
+    const getOption = (name, header) => searchParams.get(name) || headers.get(header)
+
+    const rawCIDVersion = getOption('cidVersion', 'X-IPFS-CID-Version')
+    const cidVersion = rawCIDVersion === null ? 1 : Number(rawCIDVersion)
+    let rawLeaves = getOption('rawLeaves', 'X-IPFS-Raw-Leaves')
+    // Raw leaves need CIDv1, so CIDv0 defaults to wrapping them
+    if (rawLeaves === null) rawLeaves = cidVersion !== 0
+    else if (rawLeaves === 'true' || rawLeaves === 'false') rawLeaves = rawLeaves === 'true'
+    const chunker = getOption('chunker', 'X-IPFS-Chunker') || DEFAULT_CHUNKER
+    const hashAlg = getOption('hash', 'X-IPFS-Hash') || DEFAULT_HASH
+    const layout = getOption('layout', 'X-IPFS-Layout') || 'balanced'
+
+    return {
+      chunker,
+      cidVersion,
+      hashAlg,
+      rawLeaves,
+      layout
+    }
+  }
+
+  function checkImportOptions (importOptions) {
+    const { chunker, cidVersion, hashAlg, rawLeaves, layout } = importOptions
+    let error = null
+
+    if (cidVersion !== 0 && cidVersion !== 1) {
+      error = `Invalid CID version, must be 0 or 1. Got ${cidVersion}`
+    } else if (!IMPORT_HASHES.includes(hashAlg)) {
+      error = `Unsupported hash function ${hashAlg}, must be one of ${IMPORT_HASHES.join(', ')}`
+    } else if (!isValidChunker(chunker)) {
+      error = `Invalid chunker ${chunker}, must be size-N with N up to ${MAX_CHUNK_SIZE} or rabin-MIN-AVG-MAX`
+    } else if (!IMPORT_LAYOUTS.includes(layout)) {
+      error = `Invalid layout ${layout}, must be one of ${IMPORT_LAYOUTS.join(', ')}`
+    } else if (typeof rawLeaves !== 'boolean') {
+      error = `Invalid rawLeaves, must be true or false. Got ${rawLeaves}`
+    } else if (cidVersion === 0 && hashAlg !== DEFAULT_HASH) {
+      error = `CID version 0 only supports the ${DEFAULT_HASH} hash function`
+    } else if (cidVersion === 0 && rawLeaves) {
+      error = 'CID version 0 does not support raw leaves'
+    }
+
+    if (!error) return null
+
+    return {
+      status: 400,
+      headers: defaultHeaders,
+      body: error
+    }
+  }
+
+  function checkPublishOptions ({ sequence, ...durations }) {
+    // Nodes always publish with the next sequence number after their last record
+    if (sequence) {
+      return {
+        status: 400,
+        headers: defaultHeaders,
+        body: 'Setting the IPNS sequence number is not supported, it gets incremented on every publish'
+      }
+    }
+    for (const [name, duration] of Object.entries(durations)) {
+      if (!isValidDuration(duration)) {
+        return {
+          status: 400,
+          headers: defaultHeaders,
+          body: `Invalid IPNS ${name}, must be a duration like 1h30m. Got ${duration}`
+        }
+      }
+    }
+    return null
+  }
+
+  async function updateIPNS (keyName, value, publishOptions, signal) {
+    const existing = await hasKey(keyName)
+    if (!existing) {
+      throw new Error(`Invalid IPNS key: ${keyName}`)
+    }
+
+    const finalName = existing ? existing.name : keyName
+
+    const publish = await ipfs.name.publish(value, {
+      allowOffline: true,
+      key: finalName,
+      ...publishOptions,
+      signal,
+      timeout: ipnsTimeout
+    })
+    const { name: cid } = publish
+
+    const ipnsURL = `ipns://${cid}/`
+
+    const headers = {
+      ...defaultHeaders,
+      Location: ipnsURL
+    }
+    const { lifetime, ttl } = publishOptions
+    if (lifetime) headers['X-IPNS-Lifetime'] = lifetime
+    if (ttl) headers['X-IPNS-TTL'] = ttl
+
+    // Lets clients use If-Match for their next write
+    const { rootCID } = cidFromPath(value)
+    if (rootCID) headers.ETag = makeETag(rootCID)
+
+    return {
+      status: 201,
+      headers,
+      body: ipnsURL
+    }
+  }
+
+  async function serveKeyList (accept, shouldResolve, signal) {
+    const keys = await ipfs.key.list({
+      signal,
+      timeout: ipnsTimeout
+    })
+
+    const entries = await Promise.all(keys.map(async (keyData) => {
+      const { name } = keyData
+      const url = keyToURL(keyData)
+      if (!shouldResolve) return { name, url }
+
+      let value = null
+      try {
+        value = await ipfs.resolve(`/ipns/${keyData.id}`, {
+          signal,
+          timeout: ipnsTimeout
+        })
+      } catch {
+        // Keys that haven't been published yet won't resolve
+      }
+      return { name, url, value }
+    }))
+
+    if (accept.includes('text/html')) {
+      return {
+        status: 200,
+        headers: {
+          ...defaultHeaders,
+          'Content-Type': 'text/html; charset=utf-8'
+        },
+        body: renderKeyList(entries)
+      }
+    }
+
+    return {
+      status: 200,
+      headers: {
+        ...defaultHeaders,
+        'Content-Type': `${MIME_JSON}; charset=utf-8`
+      },
+      body: JSON.stringify(entries, null, '\t')
+    }
+  }
+
+  async function exportKey (keyName, format, password, signal) {
+    if (!capabilities.keyExport) return notSupported('Key export')
+
+    if (format !== 'pem') {
+      return {
+        status: 400,
+        headers: defaultHeaders,
+        body: `Unsupported key format, must be pem. Got ${format}`
+      }
+    }
+
+    if (!password) {
+      return {
+        status: 400,
+        headers: defaultHeaders,
+        body: `Must specify a password to encrypt the key with in the ${KEY_PASSWORD_HEADER} header`
+      }
+    }
+
+    let pem = null
+    try {
+      pem = await ipfs.key.export(keyName, password, {
+        signal,
+        timeout: ipnsTimeout
+      })
+    } catch (e) {
+      // The HTTP client doesn't support exporting keys
+      if (e.code === 'ERR_NOT_IMPLEMENTED') {
+        return {
+          status: 501,
+          headers: defaultHeaders,
+          body: 'Key export is not supported by this IPFS node'
+        }
+      }
+      throw e
+    }
+
+    return {
+      status: 200,
+      headers: {
+        ...defaultHeaders,
+        'Content-Type': 'application/x-pem-file'
+      },
+      body: pem
+    }
+  }
+
+  async function genKey (keyName, { type, size }, signal) {
+    await ipfs.key.gen(keyName, {
+      signal,
+      type,
+      // Only RSA keys have a configurable size
+      ...(type === 'rsa' ? { size } : {}),
+      timeout: ipnsTimeout
+    })
+
+    await updateIPNS(keyName, EMPTY_DIR_IPFS_PATH, withoutEmpty({
+      lifetime: ipnsLifetime,
+      ttl: ipnsTTL
+    }), signal)
+  }
+
+  async function hasKey (keyName, signal) {
+    const keys = await ipfs.key.list({
+      signal,
+      timeout: ipnsTimeout
+    })
+
+    return keys.find(({ name, id }) => {
+      if (name === keyName) return true
+      try {
+        return (
+          peerIdToCID(id).toString(base36) === keyName
+        )
+      } catch {
+        return false
+      }
+    })
+  }
+
+  async function deleteData (ipfsPath, signal) {
+    const tmpDir = makeTmpDir()
+    const { rootCID, relativePath } = cidFromPath(ipfsPath)
+
+    if (rootCID) {
+      await ipfs.files.cp(rootCID, tmpDir, {
+        parents: true,
+        cidVersion: 1,
+        signal,
+        timeout
+      })
+    }
+
+    await ipfs.files.rm(posixPath.join(tmpDir, relativePath), {
+      recursive: true,
+      cidVersion: 1,
+      signal,
+      timeout
+    })
+
+    const { cid } = await ipfs.files.stat(tmpDir, {
+      hash: true,
+      signal,
+      timeout
+    })
+
+    const cidHash = cid.toString()
+    const addedURL = `ipfs://${cidHash}/`
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...defaultHeaders,
+        Location: addedURL
+      },
+      body: addedURL
+    }
+  }
+
+  async function uploadData (ipfsPath, request, uploadType, importOptions, signal) {
+    // Links reuse existing data instead of uploading it
+    if (uploadType === 'links') return linkData(ipfsPath, request, importOptions, signal)
+
+    const tmpDir = makeTmpDir()
+    const { rootCID, relativePath } = cidFromPath(ipfsPath)
+    const { cidVersion, hashAlg } = importOptions
+
+    if (rootCID) {
+      await ipfs.files.cp(rootCID, tmpDir, {
+        parents: true,
+        cidVersion,
+        hashAlg,
+        signal,
+        timeout
+      })
+    }
+
+    const isDirectory = uploadType !== 'file' && uploadType !== 'symlink'
+
+    if (uploadType === 'form') {
+      // Files get written one at a time as they're parsed out of the body
+      for await (const { fieldName, fileName, stream } of readFormParts(request)) {
+        // Filter by field name if necessary
+        // Must have a filename
+        if (fieldName !== 'file' || !fileName) {
+          if (stream) stream.resume()
+          continue
+        }
+        const finalPath = posixPath.join(tmpDir, relativePath, encodeURIComponent(fileName))
+        await writeFile(finalPath, stream, importOptions, signal)
+      }
+    } else if (uploadType === 'tar' || uploadType === 'zip') {
+      const entries = uploadType === 'zip'
+        ? await readStoredZip(request.body, signal)
+        : readTarEntries(request.body)
+
+      try {
+        await writeArchive(entries, posixPath.join(tmpDir, relativePath), importOptions, signal)
+      } catch (e) {
+        if (e.code === 'ERR_INVALID_ARCHIVE') throw requestError(400, e.message)
+        throw e
+      }
+    } else if (uploadType === 'symlink') {
+      const target = await request.text()
+      if (!target || Buffer.byteLength(target) > MAX_SYMLINK_SIZE || target.includes('\0')) {
+        throw requestError(400, `Symlink targets must be between 1 and ${MAX_SYMLINK_SIZE} bytes without null bytes`)
+      }
+      const path = posixPath.join(
+        tmpDir,
+        ensureStartingSlash(stripEndingSlash(relativePath))
+      )
+
+      await writeSymlink(path, target, importOptions, signal)
+    } else {
+      const path = posixPath.join(
+        tmpDir,
+        ensureStartingSlash(stripEndingSlash(relativePath))
+      )
+
+      await writeFile(path, request.body || new Uint8Array(0), importOptions, signal)
+    }
+
+    const { cid } = await ipfs.files.stat(tmpDir, { hash: true, signal, timeout })
+
+    // CIDv0 can't be used in URLs since hostnames get lowercased
+    const cidHash = cid.toV1().toString()
+    const endPath = isDirectory ? ensureEndingSlash(relativePath) : stripEndingSlash(relativePath)
+    const encodedEndPath = isDirectory
+      ? endPath
+        .split('/')
+        .map((segment) => encodeURIComponent(segment))
+        .join('/')
+      : encodeURIComponent(endPath)
+    const addedURL = `ipfs://${cidHash}${ensureStartingSlash(encodedEndPath)}`
+
+    return addedURL
+  }
+
+  // Zip files have their index at the end, so the archive gets stored
+  // in IPFS as it's uploaded and read back from there
+  async function readStoredZip (body, signal) {
+    const { cid } = await ipfs.add(body || new Uint8Array(0), {
+      cidVersion: 1,
+      rawLeaves: true,
+      pin: false,
+      signal,
+      timeout
+    })
+    const { size } = await ipfs.files.stat(`/ipfs/${cid}`, { signal, timeout })
+
+    const readRange = (offset, length) => length
+      ? ipfs.cat(cid, { offset, length, signal, timeout })
+      : []
+
+    return readZipEntries(readRange, size)
+  }
+
+  async function writeArchive (entries, dir, importOptions, signal) {
+    const { cidVersion, hashAlg } = importOptions
+    // Make sure the directory exists even if the archive is empty
+    await ipfs.files.mkdir(dir, { parents: true, cidVersion, hashAlg, signal, timeout })
+
+    for await (const { path, type, content } of entries) {
+      const entryPath = encodeUploadPath(path)
+      if (entryPath === null) {
+        throw archiveError(`Archive entries must not leave the upload directory: ${path}`)
+      }
+      if (!entryPath) continue
+      const finalPath = posixPath.join(dir, entryPath)
+
+      if (type === 'directory') {
+        await ipfs.files.mkdir(finalPath, {
+          parents: true,
+          cidVersion,
+          hashAlg,
+          signal,
+          timeout
+        })
+      } else {
+        await writeFile(finalPath, content, importOptions, signal)
+      }
+    }
+  }
+
+  // Files get added and then linked into MFS since not every node supports
+  // chunkers and layouts in files.write
+  async function writeFile (path, content, importOptions, signal) {
+    const { chunker, cidVersion, hashAlg, rawLeaves, layout } = importOptions
+
+    const { cid } = await ipfs.add(content, {
+      chunker,
+      cidVersion,
+      hashAlg,
+      rawLeaves,
+      trickle: layout === 'trickle',
+      pin: false,
+      signal,
+      timeout
+    })
+
+    await removeExisting(path, signal)
+
+    await ipfs.files.cp(`/ipfs/${cid}`, path, {
+      parents: true,
+      cidVersion,
+      hashAlg,
+      signal,
+      timeout
+    })
+  }
+
+  async function writeSymlink (path, target, importOptions, signal) {
+    const { cidVersion, hashAlg } = importOptions
+
+    // The importer can't make symlinks so the node gets put as a block
+    const putCID = await ipfs.block.put(encodeSymlink(target), {
+      format: 'dag-pb',
+      mhtype: hashAlg,
+      version: cidVersion,
+      signal,
+      timeout
+    })
+    // Kubo ignores the version and makes v1 CIDs, blocks are stored by their hash either way
+    const cid = cidVersion === 0 ? putCID.toV0() : putCID.toV1()
+
+    await removeExisting(path, signal)
+
+    await ipfs.files.cp(`/ipfs/${cid}`, path, {
+      parents: true,
+      cidVersion,
+      hashAlg,
+      signal,
+      timeout
+    })
+  }
+
+  async function removeExisting (path, signal) {
+    const exists = await ipfs.files.stat(path, { signal, timeout }).then(() => true, () => false)
+    if (exists) await ipfs.files.rm(path, { recursive: true, signal, timeout })
+  }
+
+  // Applies a list of operations to one copy of the directory so they all land in one root
+  async function patchData (ipfsPath, request, importOptions, signal) {
+    const contentType = request.headers.get('Content-Type') || ''
+
+    // Multipart bodies start with the operations followed by files for them to write
+    let parts = null
+    try {
+      let operationsText = null
+      if (getUploadType(contentType) === 'form') {
+        parts = readFormParts(request)[Symbol.asyncIterator]()
+        const { value: first } = await parts.next()
+        if (!first || first.fieldName !== 'operations' || first.stream) {
+          throw requestError(400, 'The first part of the form must be an operations field')
+        }
+        operationsText = first.value
+      } else {
+        operationsText = await request.text()
+      }
+
+      let operations = null
+      try {
+        operations = JSON.parse(operationsText)
+      } catch (e) {
+        throw requestError(400, `Unable to parse operations: ${e.message}`)
+      }
+
+      const operationsError = getOperationsError(operations, !!parts)
+      if (operationsError) throw requestError(400, operationsError)
+
+      return await applyOperations(ipfsPath, operations, parts, importOptions, signal)
+    } finally {
+      // Parts that didn't get used are dropped if an operation failed partway through
+      if (parts) await parts.return()
+    }
+  }
+
+  async function applyOperations (ipfsPath, operations, parts, importOptions, signal) {
+    const tmpDir = makeTmpDir()
+    const { rootCID, relativePath } = cidFromPath(ipfsPath)
+    const { cidVersion, hashAlg } = importOptions
+
+    if (rootCID) {
+      await ipfs.files.cp(rootCID, tmpDir, {
+        parents: true,
+        cidVersion,
+        hashAlg,
+        signal,
+        timeout
+      })
+    }
+
+    const dir = posixPath.join(tmpDir, relativePath)
+    await ipfs.files.mkdir(dir, { parents: true, cidVersion, hashAlg, signal, timeout })
+
+    for (const [index, operation] of operations.entries()) {
+      try {
+        await applyOperation(dir, operation, parts, importOptions, signal)
+      } catch (e) {
+        if (e.code === 'ERR_INVALID_REQUEST') throw e
+        if (e.code === 'ERR_INVALID_OPERATION') throw requestError(400, e.message)
+        // Paths in errors should be relative to the directory
+        throw requestError(409, `Operation ${index} (${operation.op} ${operation.path}) failed: ${e.message.replace(dir, '')}`)
+      }
+    }
+
+    // Let the rest of the form get parsed
+    if (parts) {
+      let next = await parts.next()
+      while (!next.done) {
+        if (next.value.stream) next.value.stream.resume()
+        next = await parts.next()
+      }
+    }
+
+    const { cid } = await ipfs.files.stat(tmpDir, { hash: true, signal, timeout })
+
+    const encodedPath = ensureEndingSlash(ensureStartingSlash(relativePath))
+    return `ipfs://${cid.toV1().toString()}${encodedPath}`
+  }
+
+  async function applyOperation (dir, operation, parts, importOptions, signal) {
+    const { op, path, from, url, content, encoding = 'utf8', file } = operation
+    const { cidVersion, hashAlg } = importOptions
+    const target = posixPath.join(dir, encodeUploadPath(path))
+
+    if (op === 'write') {
+      let data = null
+      if (file !== undefined) {
+        const { value: part } = await parts.next()
+        if (!part || !part.stream || part.fieldName !== file) {
+          throw operationError(`Expected file ${file} for ${path}, files must be in the same order as operations`)
+        }
+        data = part.stream
+      } else {
+        data = Buffer.from(content, encoding)
+      }
+      await writeFile(target, data, importOptions, signal)
+    } else if (op === 'delete') {
+      await ipfs.files.rm(target, { recursive: true, cidVersion, hashAlg, signal, timeout })
+    } else if (op === 'mkdir') {
+      await ipfs.files.mkdir(target, { parents: true, cidVersion, hashAlg, signal, timeout })
+    } else {
+      let source = posixPath.join(dir, encodeUploadPath(from || ''))
+      if (op === 'link') source = await resolveLinkSource(url, signal)
+      if (source === target) return
+
+      await removeExisting(target, signal)
+      await ipfs.files.cp(source, target, { parents: true, cidVersion, hashAlg, signal, timeout })
+
+      if (op === 'move') {
+        await ipfs.files.rm(source, { recursive: true, cidVersion, hashAlg, signal, timeout })
+      }
+    }
+  }
+
+  // Paths ending with a slash get each URL linked inside of them by name
+  async function linkData (ipfsPath, request, importOptions, signal) {
+    const urls = parseURIList(await request.text())
+    const { rootCID, relativePath } = cidFromPath(ipfsPath)
+    const isDirectory = new URL(request.url).pathname.endsWith('/')
+    const path = decodeURLPath(relativePath)
+
+    if (!urls.length) throw requestError(400, 'Must specify at least one URL to link')
+    if (!isDirectory && urls.length > 1) {
+      throw requestError(400, 'Several URLs can only be linked into a directory path ending with a slash')
+    }
+
+    const operations = urls.map((url) => ({
+      op: 'link',
+      url,
+      path: isDirectory ? posixPath.join(path, getLinkName(url)) : path
+    }))
+
+    const operationsError = getOperationsError(operations, false)
+    if (operationsError) throw requestError(400, operationsError)
+
+    const updatedURL = await applyOperations(`/ipfs/${rootCID}`, operations, null, importOptions, signal)
+
+    const endPath = isDirectory ? ensureEndingSlash(relativePath) : relativePath
+    return `${stripEndingSlash(updatedURL)}${ensureStartingSlash(endPath)}`
+  }
+
+  async function resolveLinkSource (url, signal) {
+    if (url.startsWith('/ipfs/')) return url
+    if (url.startsWith('ipns://')) {
+      const resolved = await resolveIPNS(urlToIPNSPath(url), signal)
+      return posixPath.normalize(resolved)
+    }
+    return urlToIPFSPath(url)
+  }
+
+  // MKCOL only makes a directory if it's new and its parent exists like WebDAV
+  async function makeCollection (ipfsPath, importOptions, signal) {
+    const { rootCID, relativePath } = cidFromPath(ipfsPath)
+    const rootPath = `/ipfs/${rootCID}`
+
+    const existingCID = await resolvePathCID(ipfsPath, signal)
+    if (existingCID) throw requestError(405, 'A file or directory already exists at this path')
+
+    const parentPath = posixPath.dirname(`${rootPath}/${relativePath}`)
+    const parentCID = await resolvePathCID(parentPath, signal)
+    if (!parentCID) throw requestError(409, 'The parent directory does not exist')
+
+    const path = decodeURLPath(relativePath)
+    const updatedURL = await applyOperations(rootPath, [{ op: 'mkdir', path }], null, importOptions, signal)
+
+    return `${stripEndingSlash(updatedURL)}${ensureEndingSlash(ensureStartingSlash(relativePath))}`
+  }
+
+  // MOVE and COPY relink existing data within the same root like WebDAV
+  async function relinkData (ipfsPath, request, importOptions, signal) {
+    const { url, headers } = request
+    const method = request.method.toUpperCase()
+    const destination = headers.get('Destination')
+    if (!destination) throw requestError(400, 'Must specify a Destination header')
+
+    const sourceURL = new URL(url)
+    const destinationURL = new URL(destination, url)
+    if (destinationURL.protocol !== sourceURL.protocol || destinationURL.hostname !== sourceURL.hostname) {
+      throw requestError(400, `Destination must be within ${sourceURL.protocol}//${sourceURL.hostname}/`)
+    }
+
+    const from = decodeURLPath(sourceURL.pathname)
+    const path = decodeURLPath(destinationURL.pathname)
+    if (!from || !path) throw requestError(400, `Can't ${method} the root directory`)
+
+    const { rootCID } = cidFromPath(ipfsPath)
+    const rootPath = `/ipfs/${rootCID}`
+    const sourceCID = await resolvePathCID(ipfsPath, signal)
+    if (!sourceCID) throw requestError(404, 'Not Found')
+
+    // Overwrite: F refuses to replace existing data at the destination
+    if ((headers.get('Overwrite') || 'T').toUpperCase() === 'F') {
+      const destinationCID = await resolvePathCID(`${rootPath}/${encodeUploadPath(path)}`, signal)
+      if (destinationCID) {
+        const { status, headers, body } = preconditionFailed(destinationCID)
+        throw requestError(status, body, headers)
+      }
+    }
+
+    const op = method === 'MOVE' ? 'move' : 'copy'
+    const updatedURL = await applyOperations(rootPath, [{ op, from, path }], null, importOptions, signal)
+
+    return `${stripEndingSlash(updatedURL)}${destinationURL.pathname}`
+  }
+
+  // Request errors get sent as their own responses, anything else is a bug
+  function onError (e) {
+    if (e.code !== 'ERR_INVALID_REQUEST') {
+      return {
+        status: 500,
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+        body: e.stack
+      }
+    }
+    return {
+      status: e.status,
+      headers: {
+        ...defaultHeaders,
+        ...e.headers
+      },
+      body: e.message
+    }
+  }
+
+  async function getNode (cid) {
+    const { value } = await ipfs.dag.get(cid, {
+      timeout
+    })
+    return value
+  }
+
+  return fetch
+}
+
+// Parses Netlify style `from to [status]` lines
+function parseRedirects (text) {
+  const rules = []
+  const lines = text.split(/\r?\n/)
+  lines.forEach((line, index) => {
+    const trimmed = line.trim()
+    if (!trimmed || trimmed.startsWith('#')) return
+    const lineNumber = index + 1
+    const fields = trimmed.split(/\s+/)
+    if (fields.length < 2) {
+      throw new Error(`Line ${lineNumber}: Expected a destination after ${fields[0]}`)
+    }
+    if (fields.length > 3) {
+      throw new Error(`Line ${lineNumber}: Too many fields, expected "from to [status]"`)
+    }
+    const [from, to, statusField = '301'] = fields
+    if (!from.startsWith('/')) {
+      throw new Error(`Line ${lineNumber}: Source path must start with a slash. Got ${from}`)
+    }
+    if (statusField.endsWith('!')) {
+      throw new Error(`Line ${lineNumber}: Forced redirects are not supported`)
+    }
+    const status = parseInt(statusField, 10)
+    if (!REDIRECT_STATUSES.includes(status) || `${status}` !== statusField) {
+      throw new Error(`Line ${lineNumber}: Invalid status ${statusField}, must be one of ${REDIRECT_STATUSES.join(', ')}`)
+    }
+    rules.push({ from, to, status })
+  })
+  return rules
+}
+
+// Returns the placeholder values if the path matches, null otherwise
+function matchRedirect (from, pathname) {
+  const fromSegments = stripEndingSlash(from).split('/')
+  const pathSegments = stripEndingSlash(pathname).split('/')
+  const params = {}
+
+  for (let index = 0; index < fromSegments.length; index++) {
+    const segment = fromSegments[index]
+    if (segment === '*' && index === fromSegments.length - 1) {
+      params.splat = pathSegments.slice(index).join('/')
+      return params
+    }
+    if (index >= pathSegments.length) return null
+    const pathSegment = pathSegments[index]
+    if (segment.startsWith(':')) {
+      if (!pathSegment) return null
+      params[segment.slice(1)] = pathSegment
+    } else if (segment !== pathSegment) {
+      return null
+    }
+  }
+
+  if (fromSegments.length !== pathSegments.length) return null
+  return params
+}
+
+function withoutEmpty (object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value))
+}
+
+function isTextByte (byte) {
+  return byte === 0x09 || byte === 0x0a || byte === 0x0d || (byte >= 0x20 && byte < 0x7f)
+}
+
+function isNotFoundError (e) {
+  if (!e) return false
+  if (e.code === 'ERR_NOT_FOUND' || e.code === 'ERR_NO_LINK') return true
+  // Errors from the HTTP client only keep the message
+  return /no link named|routing: not found/.test(e.message)
+}
+
+function isSymlink (entry) {
+  return Boolean(entry.unixfs && entry.unixfs.type === 'symlink')
+}
+
+function getSymlinkTarget (entry) {
+  return Buffer.from(entry.unixfs.data || []).toString('utf8')
+}
+
+// Symlinks are dag-pb nodes with no links and a UnixFS message for their target
+function encodeSymlink (target) {
+  const unixfs = new UnixFS({ type: 'symlink', data: Buffer.from(target) })
+  return dagPB.encode({ Data: unixfs.marshal(), Links: [] })
+}
+
+function isDataFormat (searchParams, reqHeaders) {
+  const expectedType = searchParams.get('format') || reqHeaders.get('Accept') || ''
+  return expectedType === 'raw' ||
+    expectedType === 'car' ||
+    expectedType === 'tar' ||
+    expectedType === 'application/vnd.ipld.raw' ||
+    expectedType.startsWith(MIME_CAR) ||
+    expectedType.startsWith(MIME_TAR)
+}
+
+function getCAROptions (searchParams, accept) {
+  const acceptParams = getMediaTypeParams(accept, MIME_CAR)
+  const entityBytes = searchParams.get('entity-bytes')
+  // Asking for a byte range only makes sense for a single entity
+  const defaultScope = entityBytes ? 'entity' : 'all'
+  return {
+    version: searchParams.get('car-version') || acceptParams.version || '1',
+    order: searchParams.get('car-order') || acceptParams.order || 'dfs',
+    dups: searchParams.get('car-dups') || acceptParams.dups || 'n',
+    dagScope: searchParams.get('dag-scope') || defaultScope,
+    entityBytes
+  }
+}
+
+// Gets the parameters like `version=1` from a media type in an Accept header
+function getMediaTypeParams (accept, mediaType) {
+  const params = {}
+  const match = accept
+    .split(',')
+    .map((type) => type.split(';').map((part) => part.trim()))
+    .find(([type]) => type === mediaType)
+  if (!match) return params
+  for (const param of match.slice(1)) {
+    const [name, value] = param.split('=')
+    if (name && value) params[name.toLowerCase()] = value.replace(/"/g, '')
+  }
+  return params
+}
+
+function parseEntityBytes (entityBytes) {
+  const match = /^(-?\d+):(-?\d+|\*)$/.exec(entityBytes)
+  if (!match) return null
+  const from = parseInt(match[1], 10)
+  const to = match[2] === '*' ? null : parseInt(match[2], 10)
+  if (from >= 0 && to !== null && to >= 0 && to < from) return null
+  return { from, to }
+}
+
+// Negative values count back from the end of the file
+function getEntityRange ({ from, to }, size) {
+  const start = Math.min(from < 0 ? Math.max(size + from, 0) : from, size)
+  let end = size - 1
+  if (to !== null) end = Math.min(to < 0 ? size + to : to, size - 1)
+  return { start, end }
+}
+
+function encodeCARHeader (root) {
+  return encodeCARSection(cbor.encode({ version: 1, roots: [root] }))
+}
+
+function encodeCARBlock (cid, bytes) {
+  return encodeCARSection(cid.bytes, bytes)
+}
+
+// Every section in a CAR is prefixed with its length as a varint
+function encodeCARSection (...parts) {
+  const length = parts.reduce((total, part) => total + part.length, 0)
+  const prefixLength = varint.encodingLength(length)
+  const section = new Uint8Array(prefixLength + length)
+  varint.encodeTo(length, section)
+  let offset = prefixLength
+  for (const part of parts) {
+    section.set(part, offset)
+    offset += part.length
+  }
+  return section
+}
+
+// Values that don't fit in the ustar fields get put in a PAX header before it
+function makeTarHeader ({ name, size = 0, mode, mtime, type = '0', linkname = '' }) {
+  const records = []
+  if (Buffer.byteLength(name) > 100) records.push(makePaxRecord('path', name))
+  if (Buffer.byteLength(linkname) > 100) records.push(makePaxRecord('linkpath', linkname))
+  if (size > TAR_MAX_SIZE) records.push(makePaxRecord('size', `${size}`))
+
+  const header = makeUstarHeader({ name, size, mode, mtime, type, linkname })
+  if (!records.length) return header
+
+  const pax = Buffer.concat(records)
+  const paxHeader = makeUstarHeader({
+    name: 'PaxHeader',
+    size: pax.length,
+    mode: 0o644,
+    mtime,
+    type: 'x',
+    linkname: ''
+  })
+  return Buffer.concat([paxHeader, pax, tarPadding(pax.length), header])
+}
+
+function makeUstarHeader ({ name, size, mode, mtime, type, linkname }) {
+  const header = Buffer.alloc(TAR_BLOCK_SIZE)
+  header.write(name, 0, 100)
+  header.write(toOctal(mode & 0o7777, 7), 100)
+  // uid and gid
+  header.write(toOctal(0, 7), 108)
+  header.write(toOctal(0, 7), 116)
+  header.write(toOctal(Math.min(size, TAR_MAX_SIZE), 11), 124)
+  header.write(toOctal(mtime, 11), 136)
+  header.write(type, 156)
+  header.write(linkname, 157, 100)
+  header.write('ustar\0', 257)
+  header.write('00', 263)
+
+  // The checksum is calculated as if its own field was spaces
+  header.write(' '.repeat(8), 148)
+  const checksum = header.reduce((sum, byte) => sum + byte, 0)
+  header.write(`${toOctal(checksum, 6)}\0 `, 148)
+
+  return header
+}
+
+function readFormParts ({ headers, body }) {
+  const busboy = new Busboy({
+    headers: { 'content-type': headers.get('Content-Type') }
+  })
+
+  // Parsing waits for each file stream to be read before continuing
+  return new EventIterator(({ push, stop, fail }) => {
+    busboy.on('file', (fieldName, stream, fileName) => {
+      push({ fieldName, fileName, stream })
+    })
+    busboy.on('field', (fieldName, value) => {
+      push({ fieldName, value })
+    })
+    const source = Readable.from(body || [])
+    pipeline(source, busboy, (e) => e ? fail(e) : stop())
+    // Stopping the iterator early stops reading the rest of the body
+    return () => source.destroy()
+  })
+}
+
+function getUploadType (contentType) {
+  const mediaType = contentType.split(';')[0].trim().toLowerCase()
+  if (mediaType === 'multipart/form-data') return 'form'
+  if (MIME_TAR_TYPES.includes(mediaType)) return 'tar'
+  if (MIME_ZIP_TYPES.includes(mediaType)) return 'zip'
+  if (mediaType === MIME_URI_LIST) return 'links'
+  if (mediaType === MIME_SYMLINK) return 'symlink'
+  return 'file'
+}
+
+// Paths within uploads get URL encoded segments like Form Data uploads
+// Returns null for paths that would leave the upload directory
+function encodeUploadPath (path) {
+  const segments = path.split('/').filter((segment) => segment && segment !== '.')
+  if (segments.includes('..')) return null
+  return segments.map((segment) => encodeURIComponent(segment)).join('/')
+}
+
+function getOperationsError (operations, hasFiles) {
+  if (!Array.isArray(operations)) return 'Operations must be a JSON array'
+
+  for (const [index, operation] of operations.entries()) {
+    const prefix = `Operation ${index}`
+    if (!operation || typeof operation !== 'object') return `${prefix} must be an object`
+
+    const { op, path, from, url, content, encoding, file } = operation
+    if (!PATCH_OPERATIONS.includes(op)) {
+      return `${prefix} has unknown op ${op}, must be one of ${PATCH_OPERATIONS.join(', ')}`
+    }
+    if (typeof path !== 'string' || encodeUploadPath(path) === null) {
+      return `${prefix} must have a path within the directory`
+    }
+    if (op !== 'mkdir' && !encodeUploadPath(path)) {
+      return `${prefix} can't ${op} the directory itself`
+    }
+
+    if (op === 'write') {
+      if ((content === undefined) === (file === undefined)) {
+        return `${prefix} must have either content or a file`
+      }
+      if (content !== undefined && typeof content !== 'string') {
+        return `${prefix} content must be a string`
+      }
+      if (file !== undefined && (!hasFiles || typeof file !== 'string')) {
+        return `${prefix} can only use files with multipart bodies`
+      }
+      if (encoding !== undefined && !PATCH_ENCODINGS.includes(encoding)) {
+        return `${prefix} encoding must be one of ${PATCH_ENCODINGS.join(', ')}`
+      }
+    } else if (op === 'move' || op === 'copy') {
+      if (typeof from !== 'string' || !encodeUploadPath(from)) {
+        return `${prefix} must have a from path within the directory`
+      }
+    } else if (op === 'link') {
+      if (typeof url !== 'string' || !/^(ipfs:\/\/|ipns:\/\/|\/ipfs\/)[^/]+/.test(url)) {
+        return `${prefix} must have an ipfs:// or ipns:// url to link`
+      }
+    }
+  }
+
+  return null
+}
+
+function requestError (status, message, headers = {}) {
+  const error = new Error(message)
+  error.code = 'ERR_INVALID_REQUEST'
+  error.status = status
+  error.headers = headers
+  return error
+}
+
+function notSupportedError (feature) {
+  return requestError(501, `${feature} is not supported by this IPFS backend`)
+}
+
+function operationError (message) {
+  const error = new Error(message)
+  error.code = 'ERR_INVALID_OPERATION'
+  return error
+}
+
+function symlinkLoopError (message) {
+  const error = new Error(message)
+  error.code = 'ERR_SYMLINK_LOOP'
+  return error
+}
+
+function archiveError (message) {
+  const error = new Error(message)
+  error.code = 'ERR_INVALID_ARCHIVE'
+  return error
+}
+
+async function * readTarEntries (body) {
+  // Empty uploads are treated like empty archives
+  if (!body) return
+  const reader = makeByteReader(body)
+  let extended = {}
+
+  while (true) {
+    const header = await reader.read(TAR_BLOCK_SIZE)
+    // Archives end with empty blocks, but some tools leave them out
+    if (!header.length || header.every((byte) => byte === 0)) return
+    if (header.length < TAR_BLOCK_SIZE) throw archiveError('Unexpected end of tar archive')
+
+    const checksum = parseTarNumber(header.subarray(148, 156))
+    if (checksum !== tarChecksum(header)) throw archiveError('Invalid tar header checksum')
+
+    const type = String.fromCharCode(header[156])
+    const headerSize = parseTarNumber(header.subarray(124, 136))
+    const padding = tarPadding(headerSize).length
+
+    // PAX and GNU headers describe the entry that comes after them
+    if (type === 'x' || type === 'L' || type === 'K') {
+      const data = await reader.read(headerSize)
+      if (data.length < headerSize) throw archiveError('Unexpected end of tar archive')
+      await reader.skip(padding)
+      if (type === 'x') {
+        extended = { ...extended, ...parsePaxRecords(data) }
+      } else if (type === 'L') {
+        extended.path = readTarString(data)
+      }
+      continue
+    }
+
+    const name = readTarString(header.subarray(0, 100))
+    const isUstar = readTarString(header.subarray(257, 262)) === 'ustar'
+    const prefix = isUstar ? readTarString(header.subarray(345, 500)) : ''
+    const path = extended.path || (prefix ? `${prefix}/${name}` : name)
+    const size = extended.size ? Number(extended.size) : headerSize
+    extended = {}
+
+    if (TAR_FILE_TYPES.includes(type) && !path.endsWith('/')) {
+      let remaining = size
+      const content = (async function * () {
+        while (remaining > 0) {
+          const chunk = await reader.next(remaining)
+          remaining -= chunk.length
+          yield chunk
+        }
+      })()
+
+      yield { path, type: 'file', content }
+
+      // Skip whatever content didn't get read
+      await reader.skip(remaining + tarPadding(size).length)
+    } else {
+      if (type === '5' || TAR_FILE_TYPES.includes(type)) {
+        yield { path, type: 'directory' }
+      }
+      // Links and special files can't be represented so they're ignored
+      await reader.skip(size + tarPadding(size).length)
+    }
+  }
+}
+
+function makeByteReader (source) {
+  const iterator = source[Symbol.asyncIterator]()
+  let buffered = new Uint8Array(0)
+
+  async function fill (length) {
+    while (buffered.length < length) {
+      const { done, value } = await iterator.next()
+      if (done) return false
+      buffered = buffered.length ? Buffer.concat([buffered, value]) : value
+    }
+    return true
+  }
+
+  // Reads exactly `length` bytes unless the source ends first
+  async function read (length) {
+    await fill(length)
+    const chunk = buffered.subarray(0, length)
+    buffered = buffered.subarray(chunk.length)
+    return chunk
+  }
+
+  // Reads whatever is available, up to `length` bytes
+  async function next (length) {
+    if (!(await fill(1))) throw archiveError('Unexpected end of tar archive')
+    const chunk = buffered.subarray(0, length)
+    buffered = buffered.subarray(chunk.length)
+    return chunk
+  }
+
+  async function skip (length) {
+    while (length > 0) {
+      const chunk = await next(length)
+      length -= chunk.length
+    }
+  }
+
+  return { read, next, skip }
+}
 
-    const stat = await getStat(ipfsPath)
+function parsePaxRecords (data) {
+  const records = {}
+  let offset = 0
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset)
+    const length = parseInt(Buffer.from(data.subarray(offset, space)).toString(), 10)
+    if (space === -1 || !length) throw archiveError('Invalid PAX header')
+    const record = Buffer.from(data.subarray(space + 1, offset + length - 1)).toString('utf8')
+    const separator = record.indexOf('=')
+    records[record.slice(0, separator)] = record.slice(separator + 1)
+    offset += length
+  }
+  return records
+}
 
-    if (stat.type === 'directory') {
-      // TODO: Something for directories?
-      if (!noResolve) {
-        const stats = await collect(ipfs.ls(ipfsPath, { signal, timeout }))
-        const files = stats.map(({ name, type }) =>
-          type === 'dir' ? `${decodeURIComponent(name)}/` : decodeURIComponent(name)
-        )
-        if (files.includes('index.html')) {
-          ipfsPath = posixPath.join(ipfsPath, 'index.html')
-        } else {
-          return {
-            status: 200,
-            headers: defaultHeaders
-          }
-        }
-      }
-    }
+function parseTarNumber (field) {
+  // Large numbers are stored as big endian base-256 with the high bit set
+  if (field[0] & 0x80) {
+    let number = field[0] & 0x7f
+    for (const byte of field.subarray(1)) number = number * 256 + byte
+    return number
+  }
+  const text = readTarString(field).trim()
+  return text ? parseInt(text, 8) : 0
+}
 
-    const finalStat = await getStat(ipfsPath, signal)
-    const { size } = finalStat
-    const mimeName = searchParams.get('filename') || ipfsPath
+function readTarString (field) {
+  const end = field.indexOf(0)
+  return Buffer.from(field.subarray(0, end === -1 ? field.length : end)).toString('utf8')
+}
 
-    return {
-      status: 200,
-      headers: {
-        ...defaultHeaders,
-        'Accept-Ranges': 'bytes',
-        'Content-Type': getMimeType(mimeName),
-        'Content-Length': `${size}`
-      }
-    }
+function tarChecksum (header) {
+  let sum = 0
+  for (let i = 0; i < header.length; i++) {
+    // The checksum field counts as spaces
+    sum += (i >= 148 && i < 156) ? 0x20 : header[i]
   }
+  return sum
+}
 
-  async function serveFile (path, searchParams, reqHeaders, headers = { ...defaultHeaders }, signal) {
-    headers['Accept-Ranges'] = 'bytes'
+// Entries get read back from the stored archive a range at a time
+async function * readZipEntries (readRange, archiveSize) {
+  // The end record is at least 22 bytes followed by a comment of up to 64KB
+  const tailOffset = Math.max(0, archiveSize - 22 - 0xffff)
+  const tail = await readBytes(readRange(tailOffset, archiveSize - tailOffset))
+  const tailView = new DataView(tail.buffer, tail.byteOffset, tail.byteLength)
+  const end = findZipEnd(tailView)
+
+  const count = tailView.getUint16(end + 10, true)
+  const directorySize = tailView.getUint32(end + 12, true)
+  const directoryOffset = tailView.getUint32(end + 16, true)
+  if (count === 0xffff || directoryOffset === 0xffffffff) {
+    throw archiveError('Zip64 archives are not supported')
+  }
+  if (directoryOffset + directorySize > tailOffset + end) {
+    throw archiveError('Invalid zip central directory')
+  }
 
-    // Probably a file
-    const isRanged = reqHeaders.get('Range') || ''
-    const file = await getStat(path)
-    const { size } = file
-    const mimeName = searchParams.get('filename') || path
+  const directory = await readBytes(readRange(directoryOffset, directorySize))
+  const view = new DataView(directory.buffer, directory.byteOffset, directory.byteLength)
+  let offset = 0
 
-    headers['Content-Type'] = getMimeType(mimeName)
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > directory.length || view.getUint32(offset, true) !== ZIP_CENTRAL_SIGNATURE) {
+      throw archiveError('Invalid zip central directory')
+    }
+    const flags = view.getUint16(offset + 8, true)
+    const method = view.getUint16(offset + 10, true)
+    const crc = view.getUint32(offset + 16, true)
+    const compressedSize = view.getUint32(offset + 20, true)
+    const size = view.getUint32(offset + 24, true)
+    const nameLength = view.getUint16(offset + 28, true)
+    const extraLength = view.getUint16(offset + 30, true)
+    const commentLength = view.getUint16(offset + 32, true)
+    const attributes = view.getUint32(offset + 38, true)
+    const localOffset = view.getUint32(offset + 42, true)
+    if (offset + 46 + nameLength > directory.length) {
+      throw archiveError('Invalid zip central directory')
+    }
+    const path = Buffer.from(directory.subarray(offset + 46, offset + 46 + nameLength)).toString('utf8')
+    offset += 46 + nameLength + extraLength + commentLength
 
-    if (isRanged) {
-      const ranges = parseRange(size, isRanged)
-      if (ranges && ranges.length && ranges.type === 'bytes') {
-        const [{ start, end }] = ranges
-        const length = end - start + 1
-        headers['Content-Length'] = `${length}`
-        headers['Content-Range'] = `bytes ${start}-${end}/${size}`
-        return {
-          status: 206,
-          headers,
-          body: ipfs.cat(path, { signal, offset: start, length, timeout })
-        }
-      } else {
-        headers['Content-Length'] = `${size}`
-        return {
-          status: 200,
-          headers,
-          body: ipfs.cat(path, { signal, timeout })
-        }
+    if (flags & 0x1) throw archiveError(`Encrypted zip entries are not supported: ${path}`)
+
+    // Unix symlinks can't be represented so they're ignored
+    const fileType = (attributes >>> 16) & 0o170000
+    if (fileType === 0o120000) continue
+
+    if (path.endsWith('/')) {
+      yield { path, type: 'directory' }
+      continue
+    }
+
+    // Entry data has to sit before the central directory
+    const header = localOffset + 30 <= directoryOffset
+      ? await readBytes(readRange(localOffset, 30))
+      : new Uint8Array(0)
+    const headerView = new DataView(header.buffer, header.byteOffset, header.byteLength)
+    if (header.length !== 30 || headerView.getUint32(0, true) !== ZIP_LOCAL_SIGNATURE) {
+      throw archiveError(`Invalid zip entry: ${path}`)
+    }
+    const dataOffset = localOffset + 30 +
+      headerView.getUint16(26, true) +
+      headerView.getUint16(28, true)
+    if (dataOffset + compressedSize > directoryOffset) {
+      throw archiveError(`Invalid compressed size for zip entry ${path}`)
+    }
+
+    let content = null
+    if (method === ZIP_STORED) {
+      if (compressedSize !== size) throw archiveError(`Invalid size for zip entry ${path}`)
+      content = readRange(dataOffset, compressedSize)
+    } else if (method === ZIP_DEFLATED) {
+      if (size > compressedSize * ZIP_MAX_DEFLATE_RATIO) {
+        throw archiveError(`Invalid size for zip entry ${path}`)
       }
+      content = inflateZipEntry(readRange(dataOffset, compressedSize), size, path)
     } else {
-      headers['Content-Length'] = `${size}`
-      return {
-        status: 200,
-        headers,
-        body: ipfs.cat(path, { signal, timeout })
-      }
+      throw archiveError(`Unsupported zip compression method ${method} for ${path}`)
     }
+
+    yield { path, type: 'file', content: checkZipCRC(content, crc, path) }
   }
+}
 
-  async function getStat (path, signal) {
-    return exporter(path, ipfs.block, { signal, preload: false, timeout })
+// Output is capped at the declared size so zip bombs can't fill up the node
+async function * inflateZipEntry (source, size, path) {
+  const inflate = zlib.createInflateRaw()
+  // Failures get thrown while iterating the inflated output
+  pipeline(Readable.from(source), inflate, () => {})
+
+  let inflated = 0
+  try {
+    for await (const chunk of inflate) {
+      inflated += chunk.length
+      if (inflated > size) throw archiveError(`Invalid size for zip entry ${path}`)
+      yield chunk
+    }
+  } catch (e) {
+    if (e.code === 'ERR_INVALID_ARCHIVE') throw e
+    throw archiveError(`Unable to decompress zip entry ${path}: ${e.message}`)
+  } finally {
+    inflate.destroy()
   }
 
-  async function resolveIPNS (path, signal) {
-    const segments = ensureStartingSlash(path).split(/\/+/)
-    let mainSegment = segments[2]
+  if (inflated !== size) throw archiveError(`Invalid size for zip entry ${path}`)
+}
 
-    if (!mainSegment.includes('.')) {
-      const keys = await ipfs.key.list({ signal, timeout: ipnsTimeout })
-      const keyForName = keys.find(({ name }) => name === mainSegment)
-      if (keyForName) {
-        mainSegment = keyForName.id + '/'
+async function * checkZipCRC (source, expected, path) {
+  let crc = 0
+  for await (const chunk of source) {
+    crc = crc32(chunk, crc)
+    yield chunk
+  }
+  if (crc !== expected) throw archiveError(`Invalid checksum for zip entry ${path}`)
+}
+
+let CRC_TABLE = null
+
+function crc32 (bytes, previous = 0) {
+  if (!CRC_TABLE) {
+    CRC_TABLE = new Uint32Array(256)
+    for (let i = 0; i < 256; i++) {
+      let value = i
+      for (let bit = 0; bit < 8; bit++) {
+        value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1
       }
+      CRC_TABLE[i] = value
     }
+  }
+  let crc = previous ^ 0xffffffff
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
 
-    const toResolve = `/ipns${ensureEndingSlash(ensureStartingSlash(mainSegment))}`
-    const resolved = await ipfs.resolve(toResolve, { signal, timeout: ipnsTimeout })
-    return [resolved, ...segments.slice(3)].join('/')
+async function readBytes (source) {
+  const chunks = []
+  for await (const chunk of source) chunks.push(chunk)
+  return chunks.length === 1 ? chunks[0] : Buffer.concat(chunks)
+}
+
+function findZipEnd (view) {
+  // The end record is at least 22 bytes followed by a comment of up to 64KB
+  const min = Math.max(0, view.byteLength - 22 - 0xffff)
+  for (let offset = view.byteLength - 22; offset >= min; offset--) {
+    if (view.getUint32(offset, true) === ZIP_END_SIGNATURE) return offset
   }
+  throw archiveError('Invalid zip archive')
+}
 
-  async function updateIPNS (keyName, value, signal) {
-    const existing = await hasKey(keyName)
-    if (!existing) {
-      throw new Error(`Invalid IPNS key: ${keyName}`)
-    }
+// Records are prefixed with their own length, including the length itself
+function makePaxRecord (key, value) {
+  const body = ` ${key}=${value}\n`
+  const bodyLength = Buffer.byteLength(body)
+  let length = bodyLength + 1
+  while (`${length}`.length + bodyLength > length) length++
+  return Buffer.from(`${length}${body}`)
+}
 
-    const finalName = existing ? existing.name : keyName
+function tarPadding (size) {
+  return Buffer.alloc((TAR_BLOCK_SIZE - (size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE)
+}
 
-    const publish = await ipfs.name.publish(value, {
-      allowOffline: true,
-      key: finalName,
-      signal,
-      timeout: ipnsTimeout
-    })
-    const { name: cid } = publish
+function toOctal (number, length) {
+  return number.toString(8).padStart(length, '0')
+}
 
-    const ipnsURL = `ipns://${cid}/`
+function getLinks (cid, bytes) {
+  if (cid.code === dagPB.code) return dagPB.decode(bytes).Links.map(({ Hash }) => Hash)
+  if (cid.code === cbor.code) return findCIDs(cbor.decode(bytes))
+  if (cid.code === dagJSON.code) return findCIDs(dagJSON.decode(bytes))
+  return []
+}
 
-    return {
-      status: 201,
-      headers: {
-        ...defaultHeaders,
-        Location: ipnsURL
-      },
-      body: ipnsURL
-    }
-  }
+function findCIDs (value) {
+  const cid = CID.asCID(value)
+  if (cid) return [cid]
+  if (!value || typeof value !== 'object' || value instanceof Uint8Array) return []
+  return Object.values(value).flatMap(findCIDs)
+}
 
-  async function genKey (keyName, signal) {
-    await ipfs.key.gen(keyName, {
-      signal,
-      type: 'rsa',
-      size: 2048,
-      timeout: ipnsTimeout
-    })
+function hasMethod (ipfs, method) {
+  const value = method.split('.').reduce((object, key) => object && object[key], ipfs)
+  return typeof value === 'function'
+}
 
-    await updateIPNS(keyName, EMPTY_DIR_IPFS_PATH, signal)
+function getCapabilities (ipfs) {
+  const capabilities = {}
+  for (const [name, methods] of Object.entries(CAPABILITY_METHODS)) {
+    capabilities[name] = methods.every((method) => hasMethod(ipfs, method))
   }
+  return capabilities
+}
 
-  async function hasKey (keyName, signal) {
-    const keys = await ipfs.key.list({
-      signal,
-      timeout: ipnsTimeout
-    })
+function getListingFormat (searchParams, accept) {
+  const format = searchParams.get('format')
+  if (format === 'stat' || accept.includes(MIME_IPFS_LISTING)) return 'stat'
+  if (format === 'ndjson' || accept.includes(MIME_NDJSON)) return 'ndjson'
+  if (accept.includes('text/html')) return 'html'
+  return 'json'
+}
 
-    return keys.find(({ name, id }) => {
-      if (name === keyName) return true
-      try {
-        return (
-          CID.parse(id, bases).toV1().toString(base36) === keyName
-        )
-      } catch {
-        return false
-      }
-    })
+function getPageOptions (searchParams) {
+  const limit = searchParams.get('limit')
+  const cursor = searchParams.get('cursor')
+  return {
+    isPaged: limit !== null || cursor !== null,
+    limit: limit !== null ? parseInt(limit, 10) : Infinity,
+    cursor
   }
+}
 
-  async function deleteData (ipfsPath, signal) {
-    const tmpDir = makeTmpDir()
-    const { rootCID, relativePath } = cidFromPath(ipfsPath)
+function makeNextPageLink (url, limit, { name }) {
+  const nextURL = new URL(url)
+  nextURL.searchParams.set('limit', `${limit}`)
+  nextURL.searchParams.set('cursor', decodeURIComponent(name))
+  return `<${nextURL.href}>; rel="next"`
+}
 
-    if (rootCID) {
-      await ipfs.files.cp(rootCID, tmpDir, {
-        parents: true,
-        cidVersion: 1,
-        signal,
-        timeout
-      })
-    }
+function getListingContentType (listingFormat) {
+  if (listingFormat === 'ndjson') return MIME_NDJSON
+  if (listingFormat === 'stat') return `${MIME_IPFS_LISTING}; charset=utf-8`
+  if (listingFormat === 'html') return 'text/html; charset=utf-8'
+  return `${MIME_JSON}; charset=utf-8`
+}
 
-    await ipfs.files.rm(posixPath.join(tmpDir, relativePath), {
-      recursive: true,
-      cidVersion: 1,
-      signal,
-      timeout
-    })
+async function * streamListing (entries) {
+  for await (const entry of entries) {
+    yield JSON.stringify(entry) + '\n'
+  }
+}
 
-    const { cid } = await ipfs.files.stat(tmpDir, {
-      hash: true,
-      signal,
-      timeout
-    })
+function makeListingEntry (url, { name, type, size, cid }) {
+  // Decode path segments for accurate file names
+  const decodedName = decodeURIComponent(name)
+  const isDirectory = type === 'dir'
+  const encodedName = isDirectory
+    ? `${encodeURIComponent(decodedName)}/`
+    : encodeURIComponent(decodedName)
 
-    const cidHash = cid.toString()
-    const addedURL = `ipfs://${cidHash}/`
+  const base = new URL(url)
+  base.search = ''
+  base.pathname = ensureEndingSlash(base.pathname)
 
-    return {
-      statusCode: 200,
-      headers: {
-        ...defaultHeaders,
-        Location: addedURL
-      },
-      body: addedURL
-    }
+  return {
+    name: isDirectory ? `${decodedName}/` : decodedName,
+    type: isDirectory ? 'directory' : type,
+    size,
+    cid: cid.toV1().toString(),
+    url: new URL(encodedName, base).href
   }
+}
 
-  async function uploadData (ipfsPath, request, isFormData, signal) {
-    const tmpDir = makeTmpDir()
-    const { rootCID, relativePath } = cidFromPath(ipfsPath)
+// Random (version 4) UUID from bytes that browser builds can polyfill
+function makeUUID () {
+  const bytes = crypto.randomBytes(16)
+  bytes[6] = (bytes[6] & 0x0f) | 0x40
+  bytes[8] = (bytes[8] & 0x3f) | 0x80
+  const hex = bytes.toString('hex')
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20)
+  ].join('-')
+}
 
-    if (rootCID) {
-      await ipfs.files.cp(rootCID, tmpDir, {
-        parents: true,
-        cidVersion: 1,
-        signal,
-        timeout
-      })
-    }
+function renderDAVEntry (href, name, entry) {
+  const isDirectory = entry.type === 'directory'
+  const props = [
+    `<D:displayname>${escapeHTML(name)}</D:displayname>`,
+    isDirectory ? '<D:resourcetype><D:collection/></D:resourcetype>' : '<D:resourcetype/>',
+    `<D:getetag>${escapeHTML(makeETag(entry.cid))}</D:getetag>`,
+    `<I:cid>${entry.cid.toV1().toString()}</I:cid>`
+  ]
+
+  if (!isDirectory && entry.size !== undefined) {
+    props.push(`<D:getcontentlength>${Number(entry.size)}</D:getcontentlength>`)
+    props.push(`<D:getcontenttype>${escapeHTML(getMimeType(name))}</D:getcontenttype>`)
+  }
 
-    if (isFormData) {
-      const formData = await request.formData()
-      const toWait = []
+  const { unixfs } = entry
+  if (unixfs && unixfs.mtime) {
+    const lastModified = new Date(Number(unixfs.mtime.secs) * 1000).toUTCString()
+    props.push(`<D:getlastmodified>${lastModified}</D:getlastmodified>`)
+  }
 
-      for (const [fieldName, fileData] of formData) {
-        // Filter by field name if necessary
-        if (fieldName !== 'file') continue
-        // Must have a filename
-        if (!fileData.name) continue
-        const fileName = fileData.name
-        const finalPath = posixPath.join(tmpDir, relativePath, encodeURIComponent(fileName))
-        const result = ipfs.files.write(finalPath, fileData, {
-          cidVersion: 1,
-          parents: true,
-          truncate: true,
-          create: true,
-          rawLeaves: true,
-          signal,
-          timeout
-        })
-        toWait.push(result)
-      }
+  return `<D:response>
+<D:href>${escapeHTML(href)}</D:href>
+<D:propstat>
+<D:prop>
+${props.join('\n')}
+</D:prop>
+<D:status>HTTP/1.1 200 OK</D:status>
+</D:propstat>
+</D:response>`
+}
 
-      await Promise.all(toWait)
-    } else {
-      const path = posixPath.join(
-        tmpDir,
-        ensureStartingSlash(stripEndingSlash(relativePath))
-      )
+function renderDAVMultistatus (responses) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<D:multistatus xmlns:D="DAV:" xmlns:I="ipfs:">
+${responses.join('\n')}
+</D:multistatus>
+`
+}
 
-      await ipfs.files.write(path, await request.blob(), {
-        signal,
-        parents: true,
-        truncate: true,
-        create: true,
-        rawLeaves: true,
-        cidVersion: 1,
-        timeout
-      })
-    }
+function renderDAVLock (token, pathname) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<D:prop xmlns:D="DAV:">
+<D:lockdiscovery>
+<D:activelock>
+<D:locktype><D:write/></D:locktype>
+<D:lockscope><D:exclusive/></D:lockscope>
+<D:depth>infinity</D:depth>
+<D:timeout>${DAV_LOCK_TIMEOUT}</D:timeout>
+<D:locktoken><D:href>${token}</D:href></D:locktoken>
+<D:lockroot><D:href>${escapeHTML(pathname)}</D:href></D:lockroot>
+</D:activelock>
+</D:lockdiscovery>
+</D:prop>
+`
+}
 
-    const { cid } = await ipfs.files.stat(tmpDir, { hash: true, signal, timeout })
+// Links in sharded directories start with their index in the shard as hex
+function getShardPadLength (unixfs) {
+  const fanout = Number(unixfs.fanout || DEFAULT_SHARD_FANOUT)
+  return (fanout - 1).toString(16).length
+}
 
-    const cidHash = cid.toString()
-    const endPath = isFormData ? relativePath : stripEndingSlash(relativePath)
-    const encodedEndPath = isFormData
-      ? relativePath
-        .split('/')
-        .map((segment) => encodeURIComponent(segment))
-        .join('/')
-      : encodeURIComponent(endPath)
-    const addedURL = `ipfs://${cidHash}${ensureStartingSlash(encodedEndPath)}`
+function makeETag (cid, format) {
+  const suffix = format ? `.${format}` : ''
+  return `"${cid.toV1().toString()}${suffix}"`
+}
 
-    return addedURL
-  }
+function parseURIList (text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+}
 
-  async function getNode (cid) {
-    const { value } = await ipfs.dag.get(cid, {
-      timeout
-    })
-    return value
-  }
+// Links are named after the last segment of their path, or the CID for roots
+function getLinkName (url) {
+  const segments = url.replace(/^\w+:\/\//, '/').split('/').filter(Boolean)
+  if (url.startsWith('/ipfs/')) segments.shift()
+  return decodeURIComponent(segments[segments.length - 1])
+}
 
-  return fetch
+function decodeURLPath (pathname) {
+  return pathname
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => decodeURIComponent(segment))
+    .join('/')
 }
 
-async function collect (iterable) {
-  const result = []
-  for await (const item of iterable) {
-    result.push(item)
-  }
+// If-Match uses strong comparison, so only the exact ETag of the root matches
+function matchesETag (header, etag) {
+  if (header.trim() === '*') return true
+  return header
+    .split(',')
+    .map((tag) => tag.trim())
+    .includes(etag)
+}
+
+function isNotModified (reqHeaders, etag) {
+  const ifNoneMatch = reqHeaders.get('If-None-Match')
+  if (!ifNoneMatch) return false
+  if (ifNoneMatch.trim() === '*') return true
+  // If-None-Match uses weak comparison so we ignore the W/ prefix
+  return ifNoneMatch
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//, ''))
+    .includes(etag)
+}
 
-  return result
+function notModified (headers) {
+  return {
+    status: 304,
+    headers: {
+      ETag: headers.ETag,
+      'Cache-Control': headers['Cache-Control']
+    }
+  }
 }
 
 function ensureStartingSlash (path) {
@@ -942,8 +3921,39 @@ function cidFromPath (path) {
   }
 }
 
+function isValidChunker (chunker) {
+  const sizeMatch = chunker.match(/^size-(\d+)$/)
+  if (sizeMatch) {
+    const size = Number(sizeMatch[1])
+    return size > 0 && size <= MAX_CHUNK_SIZE
+  }
+  return /^rabin(-\d+|-\d+-\d+-\d+)?$/.test(chunker)
+}
+
+// Go style durations used by IPNS, e.g. 300ms, 1.5h, 2h45m
+function isValidDuration (duration) {
+  return /^(\d+(\.\d+)?(ns|us|µs|ms|s|m|h))+$/.test(duration)
+}
+
+function escapeHTML (text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function peerIdToCID (id) {
+  // Base58 peer IDs are raw multihashes (Qm... for RSA, 12D3KooW... for ed25519)
+  if (id.startsWith('Qm') || id.startsWith('1')) {
+    const multihash = Digest.decode(base58btc.baseDecode(id))
+    return CID.createV1(LIBP2P_KEY_CODE, multihash)
+  }
+  return CID.parse(id, bases).toV1()
+}
+
 function keyToURL ({ id }) {
-  const hostname = CID.parse(id, bases).toV1().toString(base36)
+  const hostname = peerIdToCID(id).toString(base36)
   return `ipns://${hostname}/`
 }
 
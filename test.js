@@ -1,17 +1,26 @@
-/* global FormData, Blob */
+/* global FormData, Blob, Response, ReadableStream */
 import crypto from 'crypto'
+import zlib from 'zlib'
+import os from 'os'
+import fs from 'fs'
+import v8 from 'v8'
 import { once } from 'events'
+import { spawn } from 'child_process'
+import { fileURLToPath } from 'url'
 
 import test from 'tape'
 
 import createEventSource from '@rangermauve/fetch-event-source'
+import { CarReader } from '@ipld/car'
 import getPort from 'get-port'
 
 import * as ipfsHttpModule from 'ipfs-http-client'
+import { create as createKuboClient } from 'kubo-rpc-client'
 import * as Ctl from 'ipfsd-ctl'
 import * as GoIPFS from 'go-ipfs'
+import * as IPFS from 'ipfs-core'
 
-import makeIPFSFetch from './index.js'
+import makeIPFSFetch, { makeTrustlessIPFS, makeBlockstoreBackend, makeKuboBackend } from './index.js'
 
 const ipfsBin = GoIPFS.path()
 
@@ -19,6 +28,10 @@ const EMPTY_DIR_URL = 'ipfs://bafyaabakaieac'
 const TEST_DATA = 'Hello World!'
 const TEST_DATA_BLOB = new Blob([TEST_DATA])
 
+// The memory test reruns this file in a child process with a small heap
+const IS_MEMORY_TEST_PROCESS = process.env.IPFS_FETCH_MEMORY_TEST === '1'
+const MEMORY_TEST_HEAP_MB = 128
+
 const factory = Ctl.createFactory({
   type: 'go',
   // test: true,
@@ -168,6 +181,55 @@ test('Load a range from a file', async (t) => {
   }
 })
 
+test('Load multiple ranges from a file', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    const { cid } = await ipfs.add(TEST_DATA, { cidVersion: 1 })
+
+    const response = await fetch(`ipfs://${cid}`, { headers: { Range: 'bytes=0-4,6-10' } })
+
+    t.equal(response.status, 206, 'Got partial response')
+
+    const contentType = response.headers.get('Content-Type')
+    t.match(contentType, /^multipart\/byteranges; boundary=\w+$/, 'Got multipart content type')
+
+    const boundary = contentType.split('boundary=')[1]
+    const text = await response.text()
+
+    t.equal(
+      response.headers.get('Content-Length'),
+      `${Buffer.byteLength(text)}`,
+      'Content-Length matches body'
+    )
+
+    const parts = text
+      .split(`--${boundary}`)
+      .slice(1, -1)
+      .map((part) => part.trim().split('\r\n'))
+
+    t.deepEqual(parts, [
+      ['Content-Type: text/plain; charset=utf-8', 'Content-Range: bytes 0-4/12', '', 'Hello'],
+      ['Content-Type: text/plain; charset=utf-8', 'Content-Range: bytes 6-10/12', '', 'World']
+    ], 'Got each range as a part')
+
+    const unsatisfiable = await fetch(`ipfs://${cid}`, { headers: { Range: 'bytes=100-200' } })
+
+    t.equal(unsatisfiable.status, 416, 'Got range not satisfiable')
+    t.equal(unsatisfiable.headers.get('Content-Range'), 'bytes */12', 'Got size in Content-Range')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
 test('Get expected headers from HEAD', async (t) => {
   let ipfs = null
   try {
@@ -196,6 +258,55 @@ test('Get expected headers from HEAD', async (t) => {
   }
 })
 
+test('ETag and conditional GET for IPFS files', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    const { cid } = await ipfs.add(TEST_DATA, { cidVersion: 1 })
+
+    const url = `ipfs://${cid}/`
+
+    const response = await fetch(url)
+
+    await checkOk(response, 'Able to load file', t)
+
+    const etag = response.headers.get('ETag')
+    t.equal(etag, `"${cid.toV1().toString()}"`, 'ETag derived from CID')
+
+    const cacheControl = response.headers.get('Cache-Control')
+    t.ok(cacheControl.includes('immutable'), 'ipfs:// responses are immutable')
+
+    const cachedResponse = await fetch(url, { headers: { 'If-None-Match': etag } })
+
+    t.equal(cachedResponse.status, 304, 'Got not modified for matching ETag')
+
+    const headResponse = await fetch(url, { method: 'HEAD' })
+
+    t.equal(headResponse.headers.get('ETag'), etag, 'HEAD has the same ETag')
+
+    const rangeResponse = await fetch(url, { headers: { Range: 'bytes=0-4', 'If-Range': etag } })
+
+    t.equal(rangeResponse.status, 206, 'Range applied when If-Range matches')
+
+    const staleRangeResponse = await fetch(url, { headers: { Range: 'bytes=0-4', 'If-Range': '"stale"' } })
+
+    t.equal(staleRangeResponse.status, 200, 'Full file sent when If-Range does not match')
+
+    const text = await staleRangeResponse.text()
+    t.equal(text, TEST_DATA, 'Got full file content')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
 test('Format string to get raw block', async (t) => {
   let ipfs = null
   try {
@@ -332,45 +443,75 @@ test('Accept header to get car file', async (t) => {
   }
 })
 
-test('Load a directory listing via fetch', async (t) => {
+test('Scoped CAR export with path blocks', async (t) => {
   let ipfs = null
   try {
     ipfs = await getInstance()
 
     const fetch = await makeIPFSFetch({ ipfs })
 
-    t.pass('Able to make create fetch instance')
-
+    const content = crypto.randomBytes(4096)
     const results = await collect(ipfs.addAll([
-      { path: '/example.txt', content: TEST_DATA },
-      { path: '/example2.txt', content: TEST_DATA }
-    ], { wrapWithDirectory: true }))
+      { path: '/docs/example.bin', content }
+    ], { wrapWithDirectory: true, cidVersion: 1, rawLeaves: true, chunker: 'size-1024' }))
+    const [fileResult, docsResult, rootResult] = results
+    const rootCID = rootResult.cid.toV1().toString()
+    const fileURL = `ipfs://${rootCID}/docs/example.bin`
+
+    const fileLinks = (await ipfs.dag.get(fileResult.cid)).value.Links
+    const chunkCIDs = fileLinks.map(({ Hash }) => Hash.toV1().toString())
+    const pathCIDs = [rootResult, docsResult, fileResult]
+      .map(({ cid }) => cid.toV1().toString())
+
+    const getCAR = async (url, init) => {
+      const response = await fetch(url, init)
+      await checkOk(response, 'Able to get CAR', t)
+      const reader = await CarReader.fromBytes(new Uint8Array(await response.arrayBuffer()))
+      const roots = (await reader.getRoots()).map((cid) => cid.toString())
+      const blocks = []
+      for await (const { cid } of reader.blocks()) {
+        blocks.push(cid.toV1().toString())
+      }
+      return { response, roots, blocks }
+    }
 
-    // The last element should be the directory itself
-    const { cid } = results[results.length - 1]
+    const all = await getCAR(`${fileURL}?format=car`)
 
-    const response = await fetch(`ipfs://${cid}/`, {
+    t.deepEqual(all.roots, [rootCID], 'Root of CAR is root of path')
+    t.deepEqual(all.blocks, [...pathCIDs, ...chunkCIDs], 'Got path blocks and whole file')
+    t.equal(
+      all.response.headers.get('Content-Type'),
+      'application/vnd.ipld.car; version=1; order=dfs; dups=n',
+      'Got CAR parameters in Content-Type'
+    )
+
+    const block = await getCAR(`${fileURL}?format=car&dag-scope=block`)
+
+    t.deepEqual(block.blocks, pathCIDs, 'Block scope only has path blocks')
+
+    const entity = await getCAR(`${fileURL}?format=car&dag-scope=entity&entity-bytes=1024:2047`)
+
+    t.deepEqual(entity.blocks, [...pathCIDs, chunkCIDs[1]], 'Entity bytes only has blocks for range')
+
+    const negotiated = await getCAR(fileURL, {
       headers: {
-        Accept: 'text/html'
+        Accept: 'application/vnd.ipld.car; version=1; order=dfs'
       }
     })
 
-    t.ok(response, 'Got a response object')
-    t.ok(response.ok, 'Got OK in response')
-
-    const text = await response.text()
-
-    t.ok(text, 'Got directory listing')
-    t.ok(text.includes('example.txt'), 'Listing has first file')
-    t.ok(text.includes('example2.txt'), 'Listing has second file')
+    t.deepEqual(negotiated.blocks, all.blocks, 'Able to negotiate via Accept header')
 
-    const jsonResponse = await fetch(`ipfs://${cid}/`)
+    const unsupportedResponse = await fetch(fileURL, {
+      headers: {
+        Accept: 'application/vnd.ipld.car; version=2'
+      }
+    })
 
-    t.ok(jsonResponse.ok, 'Got OK in response')
+    t.equal(unsupportedResponse.status, 406, 'CAR version 2 is not acceptable')
 
-    const files = await jsonResponse.json()
+    const invalidResponse = await fetch(`${fileURL}?format=car&dag-scope=everything`)
 
-    t.deepEqual(files, ['example.txt', 'example2.txt'], 'Got files in JSON form')
+    t.equal(invalidResponse.status, 400, 'Invalid dag-scope is an error')
   } finally {
     try {
       if (ipfs) await ipfs.stop()
@@ -381,83 +522,121 @@ test('Load a directory listing via fetch', async (t) => {
   }
 })
 
-test('Resolve index.html from a directory', async (t) => {
+test('Load verified data through a trustless gateway', async (t) => {
   let ipfs = null
   try {
     ipfs = await getInstance()
 
-    const fetch = await makeIPFSFetch({ ipfs })
-
-    t.pass('Able to make create fetch instance')
+    // Stand-in gateway which serves the trustless formats from our node
+    const gatewayFetch = await makeIPFSFetch({ ipfs })
+    const gatewayRequests = []
+    const makeGateway = (tamper) => async (url, init) => {
+      gatewayRequests.push(url)
+      const { pathname, search } = new URL(url)
+      const response = await gatewayFetch(`ipfs://${pathname.slice('/ipfs/'.length)}${search}`, init)
+      if (!tamper) return response
+      const data = Buffer.from(await response.arrayBuffer())
+      data[data.length - 1] ^= 1
+      return new Response(data, { status: response.status })
+    }
 
+    const content = crypto.randomBytes(200000)
     const results = await collect(ipfs.addAll([
-      { path: '/index.html', content: TEST_DATA, mode: 420 },
-      { path: 'example/index.html', content: TEST_DATA, mode: 420 }
-    ], { wrapWithDirectory: true, cidVersion: 1 }))
-
-    // The last element should be the directory itself
-    const { cid } = results[results.length - 1]
-
-    const response = await fetch(`ipfs://${cid}/`)
+      { path: '/example/big.bin', content },
+      { path: '/example/example.txt', content: TEST_DATA }
+    ], { wrapWithDirectory: true, cidVersion: 1, rawLeaves: true, chunker: 'size-65536' }))
+    const rootCID = results[results.length - 1].cid.toV1().toString()
+
+    const trustless = makeTrustlessIPFS({
+      gateways: ['https://bad.example/', 'https://good.example/'],
+      fetch: (url, init) => makeGateway(url.startsWith('https://bad'))(url, init)
+    })
 
-    t.ok(response, 'Got a response object')
-    t.ok(response.ok, 'Got OK in response')
+    const fetch = await makeIPFSFetch({ ipfs: trustless, writable: false })
 
-    const text = await response.text()
+    const textResponse = await fetch(`ipfs://${rootCID}/example/example.txt`)
 
-    t.equal(text, TEST_DATA, 'Got index from directory')
+    await checkOk(textResponse, 'Able to load file', t)
 
-    const rawResponse = await fetch(`ipfs://${cid}/?noResolve`)
+    t.equal(await textResponse.text(), TEST_DATA, 'Got file contents')
+    t.ok(gatewayRequests.some((url) => url.startsWith('https://good.example/')), 'Fell back to good gateway')
 
-    t.ok(rawResponse.ok, 'Got OK in response')
+    const bigResponse = await fetch(`ipfs://${rootCID}/example/big.bin`)
 
-    const files = await rawResponse.json()
+    await checkOk(bigResponse, 'Able to load chunked file', t)
 
-    t.deepEqual(files, ['example/', 'index.html'], 'Got files in JSON form')
+    t.ok(Buffer.from(await bigResponse.arrayBuffer()).equals(content), 'Got chunked file contents')
 
-    const subfolderResponse = await fetch(`ipfs://${cid}/example`)
+    const rangeResponse = await fetch(`ipfs://${rootCID}/example/big.bin`, {
+      headers: {
+        Range: 'bytes=70000-70009'
+      }
+    })
 
-    t.ok(subfolderResponse, 'Got a response object')
-    t.ok(subfolderResponse.ok, 'Got OK in response')
+    t.equal(rangeResponse.status, 206, 'Got partial response')
+    t.ok(Buffer.from(await rangeResponse.arrayBuffer()).equals(content.subarray(70000, 70010)), 'Got range contents')
 
-    const text2 = await subfolderResponse.text()
+    const listingResponse = await fetch(`ipfs://${rootCID}/example/`)
 
-    t.equal(text2, TEST_DATA, 'Got index from directory')
-  } finally {
-    try {
-      if (ipfs) await ipfs.stop()
-    } catch (e) {
-      console.error('Could not stop', e)
-      // Whatever
-    }
-  }
-})
+    await checkOk(listingResponse, 'Able to list directory', t)
 
-test('POST a file into IPFS', async (t) => {
-  let ipfs = null
-  try {
-    ipfs = await getInstance()
+    t.deepEqual(await listingResponse.json(), ['big.bin', 'example.txt'], 'Got directory listing')
 
-    const fetch = await makeIPFSFetch({ ipfs })
+    const missingResponse = await fetch(`ipfs://${rootCID}/example/missing.txt`)
 
-    t.pass('Able to make create fetch instance')
+    t.equal(missingResponse.status, 404, 'Missing file is a 404')
 
-    const response = await fetch('ipfs://localhost/', {
-      method: 'post',
-      body: TEST_DATA
+    const untrusted = makeTrustlessIPFS({
+      gateways: ['https://bad.example/'],
+      fetch: makeGateway(true)
     })
+    const untrustedFetch = await makeIPFSFetch({ ipfs: untrusted, writable: false })
 
-    t.ok(response, 'Got a response object')
-    t.ok(response.ok, 'Got OK in response')
+    const badResponse = await untrustedFetch(`ipfs://${rootCID}/example/example.txt`)
 
-    const ipfsUri = await response.text()
-    t.match(ipfsUri, /^ipfs:\/\/\w+\/$/, 'returned IPFS url with CID')
+    t.notOk(badResponse.ok, 'Tampered blocks are rejected')
 
-    const fileResponse = await fetch(ipfsUri)
-    t.ok(fileResponse.ok, 'Got OK in response')
+    // Stalled gateways never respond until the request gets aborted
+    const stalled = makeTrustlessIPFS({
+      gateways: ['https://stalled.example/', 'https://good.example/'],
+      timeout: 200,
+      fetch: (url, init) => url.startsWith('https://stalled')
+        ? new Promise((resolve, reject) => init.signal.addEventListener('abort', () => reject(new Error('Aborted'))))
+        : makeGateway(false)(url, init)
+    })
+    const stalledFetch = await makeIPFSFetch({ ipfs: stalled, writable: false })
+
+    const stalledResponse = await stalledFetch(`ipfs://${rootCID}/example/example.txt`)
+
+    await checkOk(stalledResponse, 'Able to load file past stalled gateway', t)
+    t.equal(await stalledResponse.text(), TEST_DATA, 'Got file contents after timeout')
+
+    // Gateways sending blocks that weren't asked for only get read up to the buffer size
+    const junk = crypto.randomBytes(1024 * 1024)
+    const { cid: junkCID } = await ipfs.add(junk, { cidVersion: 1, rawLeaves: true, chunker: 'size-65536' })
+    const junkCAR = Buffer.from(await (await gatewayFetch(`ipfs://${junkCID}?format=car&dag-scope=entity`)).arrayBuffer())
+    let junkSent = 0
+    const flooding = makeTrustlessIPFS({
+      gateways: ['https://flooding.example/'],
+      bufferSize: 128 * 1024,
+      fetch: (url, init) => {
+        if (!url.includes('format=car')) return makeGateway(false)(url, init)
+        return new Response(new ReadableStream({
+          pull (controller) {
+            if (junkSent >= junkCAR.length) return controller.close()
+            controller.enqueue(junkCAR.subarray(junkSent, junkSent + 16384))
+            junkSent += 16384
+          }
+        }))
+      }
+    })
+    const floodingFetch = await makeIPFSFetch({ ipfs: flooding, writable: false })
 
-    const text = await fileResponse.text()
-    t.equal(text, TEST_DATA, 'Able to load POSTed file')
+    const floodingResponse = await floodingFetch(`ipfs://${rootCID}/example/big.bin`)
+
+    await checkOk(floodingResponse, 'Able to load file past flooding gateway', t)
+    t.ok(Buffer.from(await floodingResponse.arrayBuffer()).equals(content), 'Got file contents from individual blocks')
+    t.ok(junkSent < junkCAR.length, 'Stopped reading unrequested blocks')
   } finally {
     try {
       if (ipfs) await ipfs.stop()
@@ -468,51 +647,69 @@ test('POST a file into IPFS', async (t) => {
   }
 })
 
-test('PUT a file and overwrite it', async (t) => {
+test('Blockstore backend disables unsupported routes', async (t) => {
   let ipfs = null
   try {
     ipfs = await getInstance()
 
-    const fetch = await makeIPFSFetch({ ipfs })
+    t.throws(() => makeIPFSFetch({ ipfs: {} }), /missing required methods/, 'Backends must be able to load data')
 
-    t.pass('Able to make create fetch instance')
+    const blockstore = {
+      get: (cid, options) => ipfs.block.get(cid, options)
+    }
+    const fetch = await makeIPFSFetch({ ipfs: makeBlockstoreBackend(blockstore) })
 
-    const TO_ADD = 'This should be entirely replaced'
+    const results = await collect(ipfs.addAll([
+      { path: '/example.txt', content: TEST_DATA }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+    const rootCID = results[results.length - 1].cid.toV1().toString()
 
-    const response = await fetch(`${EMPTY_DIR_URL}/example.txt`, {
-      method: 'put',
-      body: TO_ADD
+    const fileResponse = await fetch(`ipfs://${rootCID}/example.txt`)
+
+    await checkOk(fileResponse, 'Able to load file', t)
+
+    t.equal(await fileResponse.text(), TEST_DATA, 'Got file contents')
+
+    const listingResponse = await fetch(`ipfs://${rootCID}/`)
+
+    await checkOk(listingResponse, 'Able to list directory', t)
+
+    t.deepEqual(await listingResponse.json(), ['example.txt'], 'Got directory listing')
+
+    const uploadResponse = await fetch(`${EMPTY_DIR_URL}/example.txt`, {
+      method: 'PUT',
+      body: TEST_DATA
     })
 
-    t.ok(response, 'Got a response object')
-    t.ok(response.ok, 'Got OK in response')
+    t.equal(uploadResponse.status, 405, 'Uploads are disabled')
 
-    const ipfsUri = response.headers.get('Location')
-    t.match(ipfsUri, /^ipfs:\/\/\w+\/example.txt$/, 'returned IPFS url with CID')
+    const keyResponse = await fetch('ipns://localhost/?key=example', { method: 'POST' })
 
-    const fileResponse = await fetch(ipfsUri)
-    t.ok(fileResponse.ok, 'Got OK in response')
+    t.equal(keyResponse.status, 405, 'IPNS keys are disabled')
 
-    const text = await fileResponse.text()
-    t.equal(text, TO_ADD, 'Able to load uploaded file')
+    const pubsubResponse = await fetch('pubsub://example/')
 
-    const REPLACE_WITH = 'Yup'
+    t.equal(pubsubResponse.status, 405, 'Pubsub is disabled')
 
-    const updateResponse = await fetch(ipfsUri, {
-      method: 'put',
-      body: REPLACE_WITH
+    const ipnsResponse = await fetch('ipns://k51qzi5uqu5dlvj2baxnqndepeb86cbk3ng7n3i46uzyxzyqj2xjonzllnv0v8/')
+
+    t.equal(ipnsResponse.status, 501, 'IPNS resolution is not supported')
+
+    const dnslinkFetch = await makeIPFSFetch({
+      ipfs: makeBlockstoreBackend(blockstore),
+      dnslinkOverrides: {
+        'ipfs.example': `/ipfs/${rootCID}`,
+        'ipns.example': '/ipns/k51qzi5uqu5dlvj2baxnqndepeb86cbk3ng7n3i46uzyxzyqj2xjonzllnv0v8'
+      }
     })
 
-    t.ok(updateResponse.ok, 'Got OK in response')
-    const updatedURL = updateResponse.headers.get('Location')
-    t.match(updatedURL, /^ipfs:\/\/\w+\/example.txt$/, 'returned IPFS url with CID')
+    const dnslinkResponse = await dnslinkFetch('ipns://ipfs.example/example.txt')
 
-    const updatedFileResponse = await fetch(updatedURL)
-    t.ok(updatedFileResponse.ok, 'Got OK in response')
+    await checkOk(dnslinkResponse, 'DNSLink to IPFS works without IPNS', t)
 
-    const updatedText = await updatedFileResponse.text()
+    const dnslinkIPNSResponse = await dnslinkFetch('ipns://ipns.example/example.txt')
 
-    t.equal(updatedText, REPLACE_WITH, 'Fully replaced content')
+    t.equal(dnslinkIPNSResponse.status, 501, 'DNSLink to IPNS is not supported')
   } finally {
     try {
       if (ipfs) await ipfs.stop()
@@ -523,39 +720,53 @@ test('PUT a file and overwrite it', async (t) => {
   }
 })
 
-test('PUT formdata to IPFS cid', async (t) => {
+test('Kubo RPC client backend', async (t) => {
   let ipfs = null
   try {
     ipfs = await getInstance()
 
-    const fetch = await makeIPFSFetch({ ipfs })
+    const { protocol, host, port, pathname } = ipfs.getEndpointConfig()
+    const kubo = createKuboClient({ url: `${protocol}//${host}:${port}${pathname}` })
+    const fetch = await makeIPFSFetch({ ipfs: makeKuboBackend(kubo) })
 
-    t.pass('Able to make create fetch instance')
+    const uploadResponse = await fetch(`${EMPTY_DIR_URL}/example.txt`, {
+      method: 'PUT',
+      body: TEST_DATA
+    })
 
-    const form = new FormData()
+    await checkOk(uploadResponse, 'Able to upload', t)
 
-    form.append('file', new Blob([TEST_DATA]), 'example.txt')
+    const fileResponse = await fetch(uploadResponse.headers.get('Location'))
 
-    form.append('file', new Blob([TEST_DATA]), 'example2.txt')
+    await checkOk(fileResponse, 'Able to load file', t)
+    t.equal(await fileResponse.text(), TEST_DATA, 'Got file contents')
 
-    const response = await fetch(EMPTY_DIR_URL, {
-      method: 'put',
-      body: form
+    const makeKeyResponse = await fetch('ipns://localhost/?key=kubo-client', {
+      method: 'POST'
     })
 
-    t.ok(response, 'Got a response object')
-    t.ok(response.ok, 'Got OK in response')
+    await checkOk(makeKeyResponse, 'Able to create IPNS key', t)
 
-    const ipfsUri = response.headers.get('Location')
-    t.match(ipfsUri, /ipfs:\/\/\w+\//, 'returned IPFS url with CID')
+    const ipnsRoot = makeKeyResponse.headers.get('Location')
 
-    const directoryResponse = await fetch(`${ipfsUri}?noResolve`)
+    const recordResponse = await fetch(`${ipnsRoot}?format=ipns-record`)
 
-    t.ok(directoryResponse.ok, 'Able to list directory')
+    await checkOk(recordResponse, 'Able to get IPNS record through routing', t)
 
-    const files = await directoryResponse.json()
+    const pubsubResponse = await fetch('pubsub://kubo-client/')
 
-    t.deepEqual(files, ['example.txt', 'example2.txt'], 'Multiple files got uploaded')
+    await checkOk(pubsubResponse, 'Able to get pubsub info', t)
+    t.equal(typeof (await pubsubResponse.json()).id, 'string', 'Peer ID is a string')
+
+    const importResponse = await fetch('ipns://localhost/?key=imported', {
+      method: 'PUT',
+      headers: {
+        'X-Key-Password': 'password'
+      },
+      body: 'key'
+    })
+
+    t.equal(importResponse.status, 501, 'Key import is disabled')
   } finally {
     try {
       if (ipfs) await ipfs.stop()
@@ -566,39 +777,69 @@ test('PUT formdata to IPFS cid', async (t) => {
   }
 })
 
-test('POST formdata to IPFS localhost', async (t) => {
+test('Download a directory as a tar archive', async (t) => {
   let ipfs = null
   try {
     ipfs = await getInstance()
 
     const fetch = await makeIPFSFetch({ ipfs })
 
-    t.pass('Able to make create fetch instance')
+    const results = await collect(ipfs.addAll([
+      { path: '/site/example.txt', content: TEST_DATA, mode: 0o600, mtime: { secs: 1600000000 } },
+      { path: '/site/nested/other.txt', content: TEST_DATA },
+      // Files uploaded through fetch have URL encoded names
+      { path: '/site/with%20space.txt', content: TEST_DATA },
+      // Files that don't need padding
+      { path: '/site/empty.txt', content: new Uint8Array(0) },
+      { path: '/site/block.txt', content: 'a'.repeat(512) }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+    const rootCID = results[results.length - 1].cid.toV1().toString()
 
-    const form = new FormData()
+    const response = await fetch(`ipfs://${rootCID}/site/?format=tar`)
 
-    form.append('file', new Blob([TEST_DATA]), 'example.txt')
+    await checkOk(response, 'Able to download tar', t)
 
-    form.append('file', new Blob([TEST_DATA]), 'example2.txt')
+    t.equal(response.headers.get('Content-Type'), 'application/x-tar', 'Got tar content type')
+    t.ok(response.headers.get('Content-Disposition').includes('site.tar'), 'Got download file name')
 
-    const response = await fetch('ipfs://localhost', {
-      method: 'post',
-      body: form
-    })
+    const archive = Buffer.from(await response.arrayBuffer())
+    const entries = readTar(archive)
 
-    t.ok(response, 'Got a response object')
-    t.ok(response.ok, 'Got OK in response')
+    t.deepEqual(
+      entries.map(({ name }) => name),
+      ['site/', 'site/block.txt', 'site/empty.txt', 'site/example.txt', 'site/nested/', 'site/nested/other.txt', 'site/with space.txt'],
+      'Got all entries in archive with decoded names'
+    )
 
-    const ipfsUri = response.headers.get('Location')
-    t.match(ipfsUri, /ipfs:\/\/\w+\//, 'returned IPFS url with CID')
+    const file = entries.find(({ name }) => name === 'site/example.txt')
 
-    const directoryResponse = await fetch(`${ipfsUri}?noResolve`)
+    t.equal(file.data.toString(), TEST_DATA, 'Got file contents')
+    t.equal(file.mode, 0o600, 'Preserved file mode')
+    t.equal(file.mtime, 1600000000, 'Preserved file mtime')
 
-    t.ok(directoryResponse.ok, 'Able to list directory')
+    const emptyFile = entries.find(({ name }) => name === 'site/empty.txt')
+    t.equal(emptyFile.size, 0, 'Got empty file')
 
-    const files = await directoryResponse.json()
+    const blockFile = entries.find(({ name }) => name === 'site/block.txt')
+    t.equal(blockFile.data.toString(), 'a'.repeat(512), 'Got file that fills a whole block')
+    t.equal(archive.length % 512, 0, 'Archive is made of whole blocks')
 
-    t.deepEqual(files, ['example.txt', 'example2.txt'], 'Multiple files got uploaded')
+    const acceptResponse = await fetch(`ipfs://${rootCID}/site/`, {
+      headers: {
+        Accept: 'application/x-tar'
+      }
+    })
+
+    await checkOk(acceptResponse, 'Able to download tar with Accept header', t)
+
+    t.ok(Buffer.from(await acceptResponse.arrayBuffer()).equals(archive), 'Got same archive')
+
+    const headResponse = await fetch(`ipfs://${rootCID}/site/?format=tar`, { method: 'HEAD' })
+
+    await checkOk(headResponse, 'Able to HEAD tar', t)
+
+    t.equal(headResponse.headers.get('Content-Type'), 'application/x-tar', 'HEAD has tar content type')
+    t.equal(headResponse.headers.get('ETag'), response.headers.get('ETag'), 'HEAD has same ETag as tar')
   } finally {
     try {
       if (ipfs) await ipfs.stop()
@@ -609,7 +850,7 @@ test('POST formdata to IPFS localhost', async (t) => {
   }
 })
 
-test('PUT to a CID', async (t) => {
+test('Load a directory listing via fetch', async (t) => {
   let ipfs = null
   try {
     ipfs = await getInstance()
@@ -618,42 +859,1353 @@ test('PUT to a CID', async (t) => {
 
     t.pass('Able to make create fetch instance')
 
-    // Formerly 'ipfs:///example.txt`
-    // Needed to change because a single filename gets interpreted as the hostname
-    const response1 = await fetch(`${EMPTY_DIR_URL}/example.txt`, {
-      method: 'PUT',
+    const results = await collect(ipfs.addAll([
+      { path: '/example.txt', content: TEST_DATA },
+      { path: '/example2.txt', content: TEST_DATA }
+    ], { wrapWithDirectory: true }))
+
+    // The last element should be the directory itself
+    const { cid } = results[results.length - 1]
+
+    const response = await fetch(`ipfs://${cid}/`, {
+      headers: {
+        Accept: 'text/html'
+      }
+    })
+
+    t.ok(response, 'Got a response object')
+    t.ok(response.ok, 'Got OK in response')
+
+    const text = await response.text()
+
+    t.ok(text, 'Got directory listing')
+    t.ok(text.includes('example.txt'), 'Listing has first file')
+    t.ok(text.includes('example2.txt'), 'Listing has second file')
+
+    const jsonResponse = await fetch(`ipfs://${cid}/`)
+
+    t.ok(jsonResponse.ok, 'Got OK in response')
+
+    const files = await jsonResponse.json()
+
+    t.deepEqual(files, ['example.txt', 'example2.txt'], 'Got files in JSON form')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('Load a rich directory listing', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    const results = await collect(ipfs.addAll([
+      { path: '/example.txt', content: TEST_DATA },
+      { path: '/example/index.html', content: TEST_DATA }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+
+    // The last element should be the directory itself
+    const { cid } = results[results.length - 1]
+    const fileCID = results.find(({ path }) => path === 'example.txt').cid
+    const folderCID = results.find(({ path }) => path === 'example').cid
+
+    const response = await fetch(`ipfs://${cid}/?format=stat`)
+
+    await checkOk(response, 'Able to get listing', t)
+
+    const contentType = response.headers.get('Content-Type')
+    t.equal(contentType, 'application/x-ipfs-listing+json; charset=utf-8', 'Got listing content type')
+
+    const entries = await response.json()
+
+    t.deepEqual(entries, [{
+      name: 'example/',
+      type: 'directory',
+      size: 0,
+      cid: folderCID.toV1().toString(),
+      url: `ipfs://${cid}/example/`
+    }, {
+      name: 'example.txt',
+      type: 'file',
+      size: TEST_DATA.length,
+      cid: fileCID.toV1().toString(),
+      url: `ipfs://${cid}/example.txt`
+    }], 'Got name, type, size, cid and url for entries')
+
+    const acceptResponse = await fetch(`ipfs://${cid}/example/`, {
+      headers: {
+        Accept: 'application/x-ipfs-listing+json'
+      }
+    })
+
+    await checkOk(acceptResponse, 'Able to get listing via Accept header', t)
+
+    const subEntries = await acceptResponse.json()
+
+    t.deepEqual(subEntries.map(({ name }) => name), ['index.html'], 'Listing skips index.html resolution')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('Paginate and stream a directory listing', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    const results = await collect(ipfs.addAll([
+      { path: '/example1.txt', content: TEST_DATA },
+      { path: '/example2.txt', content: TEST_DATA },
+      { path: '/example3.txt', content: TEST_DATA }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+
+    // The last element should be the directory itself
+    const { cid } = results[results.length - 1]
+
+    const firstPage = await fetch(`ipfs://${cid}/?limit=2`)
+
+    await checkOk(firstPage, 'Able to get first page', t)
+
+    t.deepEqual(await firstPage.json(), ['example1.txt', 'example2.txt'], 'Got first page of files')
+
+    const link = firstPage.headers.get('Link')
+    t.match(link, /^<ipfs:\/\/.+>; rel="next"$/, 'Got link to next page')
+
+    const nextURL = link.slice(1, link.indexOf('>'))
+    const secondPage = await fetch(nextURL)
+
+    await checkOk(secondPage, 'Able to get second page', t)
+
+    t.deepEqual(await secondPage.json(), ['example3.txt'], 'Got second page of files')
+    t.notOk(secondPage.headers.get('Link'), 'No link after last page')
+
+    const headResponse = await fetch(`ipfs://${cid}/?limit=2`, { method: 'HEAD' })
+
+    await checkOk(headResponse, 'Able to HEAD first page', t)
+
+    t.equal(headResponse.headers.get('Link'), link, 'HEAD has same link to next page')
+    t.notOk(headResponse.headers.get('ETag'), 'HEAD of a page has no ETag')
+
+    const unknownCursorResponse = await fetch(`ipfs://${cid}/?limit=2&cursor=missing.txt`)
+
+    t.equal(unknownCursorResponse.status, 400, 'Unknown cursor is a bad request')
+
+    const shardedResults = await collect(ipfs.addAll([
+      { path: '/example1.txt', content: TEST_DATA },
+      { path: '/example2.txt', content: TEST_DATA },
+      { path: '/example3.txt', content: TEST_DATA }
+    ], { wrapWithDirectory: true, cidVersion: 1, shardSplitThreshold: 1 }))
+    const { cid: shardedCID } = shardedResults[shardedResults.length - 1]
+
+    const shardedNames = []
+    let shardedURL = `ipfs://${shardedCID}/?limit=1`
+    while (shardedURL) {
+      const pageResponse = await fetch(shardedURL)
+      await checkOk(pageResponse, 'Able to get page of sharded directory')
+      shardedNames.push(...await pageResponse.json())
+      const nextLink = pageResponse.headers.get('Link')
+      shardedURL = nextLink && nextLink.slice(1, nextLink.indexOf('>'))
+    }
+
+    t.deepEqual(
+      shardedNames.sort(),
+      ['example1.txt', 'example2.txt', 'example3.txt'],
+      'Got every file from sharded directory pages'
+    )
+
+    const streamResponse = await fetch(`ipfs://${cid}/`, {
+      headers: {
+        Accept: 'application/x-ndjson'
+      }
+    })
+
+    await checkOk(streamResponse, 'Able to stream listing', t)
+
+    const lines = (await streamResponse.text()).trim().split('\n')
+    const names = lines.map((line) => JSON.parse(line).name)
+
+    t.deepEqual(names, ['example1.txt', 'example2.txt', 'example3.txt'], 'Got entries as ndjson')
+
+    const streamHeadResponse = await fetch(`ipfs://${cid}/`, {
+      method: 'HEAD',
+      headers: {
+        Accept: 'application/x-ndjson'
+      }
+    })
+
+    t.equal(
+      streamHeadResponse.headers.get('ETag'),
+      streamResponse.headers.get('ETag'),
+      'HEAD has same ETag as streamed listing'
+    )
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('Resolve index.html from a directory', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    t.pass('Able to make create fetch instance')
+
+    const results = await collect(ipfs.addAll([
+      { path: '/index.html', content: TEST_DATA, mode: 420 },
+      { path: 'example/index.html', content: TEST_DATA, mode: 420 }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+
+    // The last element should be the directory itself
+    const { cid } = results[results.length - 1]
+
+    const response = await fetch(`ipfs://${cid}/`)
+
+    t.ok(response, 'Got a response object')
+    t.ok(response.ok, 'Got OK in response')
+
+    const text = await response.text()
+
+    t.equal(text, TEST_DATA, 'Got index from directory')
+
+    const rawResponse = await fetch(`ipfs://${cid}/?noResolve`)
+
+    t.ok(rawResponse.ok, 'Got OK in response')
+
+    const files = await rawResponse.json()
+
+    t.deepEqual(files, ['example/', 'index.html'], 'Got files in JSON form')
+
+    const rawHeadResponse = await fetch(`ipfs://${cid}/?noResolve`, { method: 'HEAD' })
+
+    t.equal(
+      rawHeadResponse.headers.get('ETag'),
+      rawResponse.headers.get('ETag'),
+      'HEAD with noResolve has the same ETag as the listing'
+    )
+
+    const subfolderResponse = await fetch(`ipfs://${cid}/example`)
+
+    t.ok(subfolderResponse, 'Got a response object')
+    t.ok(subfolderResponse.ok, 'Got OK in response')
+
+    const text2 = await subfolderResponse.text()
+
+    t.equal(text2, TEST_DATA, 'Got index from directory')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('POST a file into IPFS', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    t.pass('Able to make create fetch instance')
+
+    const response = await fetch('ipfs://localhost/', {
+      method: 'post',
+      body: TEST_DATA
+    })
+
+    t.ok(response, 'Got a response object')
+    t.ok(response.ok, 'Got OK in response')
+
+    const ipfsUri = await response.text()
+    t.match(ipfsUri, /^ipfs:\/\/\w+\/$/, 'returned IPFS url with CID')
+
+    const fileResponse = await fetch(ipfsUri)
+    t.ok(fileResponse.ok, 'Got OK in response')
+
+    const text = await fileResponse.text()
+    t.equal(text, TEST_DATA, 'Able to load POSTed file')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('PUT a file and overwrite it', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    t.pass('Able to make create fetch instance')
+
+    const TO_ADD = 'This should be entirely replaced'
+
+    const response = await fetch(`${EMPTY_DIR_URL}/example.txt`, {
+      method: 'put',
+      body: TO_ADD
+    })
+
+    t.ok(response, 'Got a response object')
+    t.ok(response.ok, 'Got OK in response')
+
+    const ipfsUri = response.headers.get('Location')
+    t.match(ipfsUri, /^ipfs:\/\/\w+\/example.txt$/, 'returned IPFS url with CID')
+
+    const fileResponse = await fetch(ipfsUri)
+    t.ok(fileResponse.ok, 'Got OK in response')
+
+    const text = await fileResponse.text()
+    t.equal(text, TO_ADD, 'Able to load uploaded file')
+
+    const REPLACE_WITH = 'Yup'
+
+    const updateResponse = await fetch(ipfsUri, {
+      method: 'put',
+      body: REPLACE_WITH
+    })
+
+    t.ok(updateResponse.ok, 'Got OK in response')
+    const updatedURL = updateResponse.headers.get('Location')
+    t.match(updatedURL, /^ipfs:\/\/\w+\/example.txt$/, 'returned IPFS url with CID')
+
+    const updatedFileResponse = await fetch(updatedURL)
+    t.ok(updatedFileResponse.ok, 'Got OK in response')
+
+    const updatedText = await updatedFileResponse.text()
+
+    t.equal(updatedText, REPLACE_WITH, 'Fully replaced content')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('PUT formdata to IPFS cid', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    t.pass('Able to make create fetch instance')
+
+    const form = new FormData()
+
+    form.append('file', new Blob([TEST_DATA]), 'example.txt')
+
+    form.append('file', new Blob([TEST_DATA]), 'example2.txt')
+
+    const response = await fetch(EMPTY_DIR_URL, {
+      method: 'put',
+      body: form
+    })
+
+    t.ok(response, 'Got a response object')
+    t.ok(response.ok, 'Got OK in response')
+
+    const ipfsUri = response.headers.get('Location')
+    t.match(ipfsUri, /ipfs:\/\/\w+\//, 'returned IPFS url with CID')
+
+    const directoryResponse = await fetch(`${ipfsUri}?noResolve`)
+
+    t.ok(directoryResponse.ok, 'Able to list directory')
+
+    const files = await directoryResponse.json()
+
+    t.deepEqual(files, ['example.txt', 'example2.txt'], 'Multiple files got uploaded')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('POST formdata to IPFS localhost', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    t.pass('Able to make create fetch instance')
+
+    const form = new FormData()
+
+    form.append('file', new Blob([TEST_DATA]), 'example.txt')
+
+    form.append('file', new Blob([TEST_DATA]), 'example2.txt')
+
+    const response = await fetch('ipfs://localhost', {
+      method: 'post',
+      body: form
+    })
+
+    t.ok(response, 'Got a response object')
+    t.ok(response.ok, 'Got OK in response')
+
+    const ipfsUri = response.headers.get('Location')
+    t.match(ipfsUri, /ipfs:\/\/\w+\//, 'returned IPFS url with CID')
+
+    const directoryResponse = await fetch(`${ipfsUri}?noResolve`)
+
+    t.ok(directoryResponse.ok, 'Able to list directory')
+
+    const files = await directoryResponse.json()
+
+    t.deepEqual(files, ['example.txt', 'example2.txt'], 'Multiple files got uploaded')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('PUT tar and zip archives to expand them into a directory', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    const results = await collect(ipfs.addAll([
+      { path: '/site/example.txt', content: TEST_DATA },
+      { path: '/site/nested/other.txt', content: TEST_DATA }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+    const rootCID = results[results.length - 1].cid.toV1().toString()
+
+    const tarResponse = await fetch(`ipfs://${rootCID}/site/?format=tar`)
+    await checkOk(tarResponse, 'Able to download tar', t)
+    const archive = await tarResponse.arrayBuffer()
+
+    const response = await fetch(`${EMPTY_DIR_URL}/copy/`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/x-tar'
+      },
+      body: archive
+    })
+
+    await checkOk(response, 'Able to upload tar', t)
+
+    const ipfsUri = response.headers.get('Location')
+    t.match(ipfsUri, /ipfs:\/\/\w+\/copy\/$/, 'Got URL of extracted directory')
+
+    const directoryResponse = await fetch(`${ipfsUri}site/?noResolve`)
+    await checkOk(directoryResponse, 'Able to list extracted directory', t)
+    t.deepEqual(await directoryResponse.json(), ['example.txt', 'nested/'], 'Got extracted files')
+
+    const fileResponse = await fetch(`${ipfsUri}site/nested/other.txt`)
+    await checkOk(fileResponse, 'Able to load extracted file', t)
+    t.equal(await fileResponse.text(), TEST_DATA, 'Got file contents')
+
+    const zipResponse = await fetch(`${EMPTY_DIR_URL}/`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/zip'
+      },
+      body: makeZip([
+        { name: 'folder/' },
+        { name: 'folder/example file.txt', data: TEST_DATA },
+        { name: 'folder/compressed.txt', data: TEST_DATA.repeat(100), compress: true }
+      ])
+    })
+
+    await checkOk(zipResponse, 'Able to upload zip', t)
+
+    const zipUri = zipResponse.headers.get('Location')
+    const zipFileResponse = await fetch(`${zipUri}folder/example%20file.txt`)
+    await checkOk(zipFileResponse, 'Able to load file from zip', t)
+    t.equal(await zipFileResponse.text(), TEST_DATA, 'Got file contents')
+
+    const compressedResponse = await fetch(`${zipUri}folder/compressed.txt`)
+    await checkOk(compressedResponse, 'Able to load compressed file from zip', t)
+    t.equal(await compressedResponse.text(), TEST_DATA.repeat(100), 'Got decompressed contents')
+
+    const bombResponse = await fetch(`${EMPTY_DIR_URL}/`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/zip'
+      },
+      body: makeZip([
+        { name: 'bomb.txt', data: Buffer.alloc(1024 * 1024), compress: true, size: 1024 }
+      ])
+    })
+
+    t.equal(bombResponse.status, 400, 'Entries larger than their declared size get rejected')
+
+    const corruptedResponse = await fetch(`${EMPTY_DIR_URL}/`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/zip'
+      },
+      body: makeZip([
+        { name: 'stored.txt', data: TEST_DATA, crc: 1234 }
+      ])
+    })
+
+    t.equal(corruptedResponse.status, 400, 'Entries with the wrong checksum get rejected')
+
+    const corruptedDeflateResponse = await fetch(`${EMPTY_DIR_URL}/`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/zip'
+      },
+      body: makeZip([
+        { name: 'compressed.txt', data: TEST_DATA.repeat(100), compress: true, crc: 1234 }
+      ])
+    })
+
+    t.equal(corruptedDeflateResponse.status, 400, 'Compressed entries with the wrong checksum get rejected')
+
+    const invalidResponse = await fetch(`${EMPTY_DIR_URL}/`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/zip'
+      },
+      body: TEST_DATA
+    })
+
+    t.equal(invalidResponse.status, 400, 'Invalid archives get rejected')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('PUT to a CID', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    t.pass('Able to make create fetch instance')
+
+    // Formerly 'ipfs:///example.txt`
+    // Needed to change because a single filename gets interpreted as the hostname
+    const response1 = await fetch(`${EMPTY_DIR_URL}/example.txt`, {
+      method: 'PUT',
+      body: TEST_DATA
+    })
+
+    await checkOk(response1)
+
+    const firstURL = response1.headers.get('Location')
+
+    // Use different file name
+    const response2 = await fetch(firstURL.replace('example.txt', 'example2.txt'), {
+      method: 'put',
+      body: TEST_DATA
+    })
+
+    t.ok(response2.ok, 'Got OK in response')
+
+    const ipfsUri = response2.headers.get('Location')
+    t.match(ipfsUri, /^ipfs:\/\/\w+\/example2.txt$/, 'returned IPFS url with CID')
+
+    const fileResponse = await fetch(ipfsUri)
+    t.ok(fileResponse.ok, 'Got OK in response')
+
+    const text = await fileResponse.text()
+    t.equal(text, TEST_DATA, 'Able to load uploaded file')
+
+    // Split out the file from the path
+    const parentURI = ipfsUri.split('/').slice(0, -1).join('/') + '/'
+
+    const dirResponse = await fetch(parentURI)
+
+    const files = await dirResponse.json()
+
+    t.deepEqual(files, ['example.txt', 'example2.txt'], 'Both files in CID directory')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('Stream uploads larger than the heap', async (t) => {
+  const child = spawn(process.execPath, [
+    `--max-old-space-size=${MEMORY_TEST_HEAP_MB}`,
+    fileURLToPath(import.meta.url)
+  ], {
+    env: { ...process.env, IPFS_FETCH_MEMORY_TEST: '1' },
+    stdio: ['ignore', 'pipe', 'inherit']
+  })
+
+  let output = ''
+  child.stdout.on('data', (chunk) => { output += chunk })
+  const [code] = await once(child, 'exit')
+
+  for (const line of output.trim().split('\n')) t.comment(line)
+  t.equal(code, 0, 'Memory test passed with a limited heap')
+})
+
+// Only this test runs in the child process
+const memoryTest = IS_MEMORY_TEST_PROCESS ? test.only : () => {}
+
+memoryTest('Stream uploads larger than the heap', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    // The heap is limited in this process so this stays quick
+    const { heap_size_limit: heapLimit } = v8.getHeapStatistics()
+    const uploadSize = heapLimit * 2
+
+    const startMemory = getMemoryUsage()
+    let peakMemory = 0
+    const interval = setInterval(() => {
+      peakMemory = Math.max(peakMemory, getMemoryUsage() - startMemory)
+    }, 100)
+
+    try {
+      const response = await fetch(`${EMPTY_DIR_URL}/large.bin`, {
+        method: 'PUT',
+        body: makeLargeBody(uploadSize),
+        duplex: 'half'
+      })
+
+      await checkOk(response, 'Able to upload large file', t)
+
+      const headResponse = await fetch(response.headers.get('Location'), { method: 'HEAD' })
+      t.equal(headResponse.headers.get('Content-Length'), `${uploadSize}`, 'Whole file got uploaded')
+
+      const boundary = 'large-upload-boundary'
+      const formResponse = await fetch(`${EMPTY_DIR_URL}/`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': `multipart/form-data; boundary=${boundary}`
+        },
+        body: makeLargeBody(
+          uploadSize,
+          `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="large.bin"\r\n\r\n`,
+          `\r\n--${boundary}--\r\n`
+        ),
+        duplex: 'half'
+      })
+
+      await checkOk(formResponse, 'Able to upload large form', t)
+
+      const formHeadResponse = await fetch(`${formResponse.headers.get('Location')}large.bin`, { method: 'HEAD' })
+      t.equal(formHeadResponse.headers.get('Content-Length'), `${uploadSize}`, 'Whole form file got uploaded')
+    } finally {
+      clearInterval(interval)
+    }
+
+    t.ok(peakMemory < heapLimit / 2, `Memory stayed bounded (${Math.round(peakMemory / 1024 / 1024)}MB)`)
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('PUT with import options', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    const content = Buffer.alloc(4096, 'a')
+
+    const cases = [
+      ['?cidVersion=0', {}, { cidVersion: 0 }],
+      ['?chunker=size-1024&layout=trickle', {}, { cidVersion: 1, rawLeaves: true, chunker: 'size-1024', trickle: true }],
+      ['', { 'X-IPFS-Hash': 'blake2b-256', 'X-IPFS-Raw-Leaves': 'false' }, { cidVersion: 1, rawLeaves: false, hashAlg: 'blake2b-256' }]
+    ]
+
+    for (const [search, headers, addOptions] of cases) {
+      const response = await fetch(`${EMPTY_DIR_URL}/example.bin${search}`, {
+        method: 'PUT',
+        headers,
+        body: content
+      })
+
+      await checkOk(response, `Able to upload with ${search || JSON.stringify(headers)}`, t)
+
+      const fileURL = response.headers.get('Location')
+      const [entry] = await collect(ipfs.ls(fileURL.replace('ipfs://', '/ipfs/').replace('example.bin', '')))
+      const { cid } = await ipfs.add(content, { ...addOptions, onlyHash: true })
+
+      t.equal(entry.cid.toString(), cid.toString(), 'Got same CID as adding with the same options')
+    }
+
+    const invalidCases = [
+      '?cidVersion=2',
+      '?cidVersion=0&rawLeaves=true',
+      '?cidVersion=0&hash=sha2-512',
+      '?hash=md5',
+      '?chunker=size-0',
+      '?layout=sideways'
+    ]
+
+    for (const search of invalidCases) {
+      const response = await fetch(`${EMPTY_DIR_URL}/example.bin${search}`, {
+        method: 'PUT',
+        body: content
+      })
+
+      t.equal(response.status, 400, `Rejected invalid options ${search}`)
+    }
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('POST a CAR to localhost', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    const dagCID = await ipfs.dag.put({ hello: 'world' }, { storeCodec: 'dag-cbor' })
+
+    const body = Buffer.concat(await collect(ipfs.dag.export(dagCID)))
+
+    const response = await fetch('ipfs://localhost/', {
+      headers: {
+        'Content-Type': 'application/vnd.ipld.car'
+      },
+      method: 'POST',
+      body
+    })
+
+    t.ok(response.ok, 'ok in response')
+
+    const roots = (await response.text()).split('\n')
+
+    const expectedURL = `ipfs://${dagCID.toV1().toString()}/`
+
+    t.deepEqual(roots, [expectedURL], 'Got expected roots')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('Publish and resolve IPNS', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    t.pass('Able to make create fetch instance')
+
+    const dataRequest = await fetch(`${EMPTY_DIR_URL}/example.txt`, {
+      method: 'put',
+      body: TEST_DATA
+    })
+    await checkOk(dataRequest)
+    const dataURI = dataRequest.headers.get('Location')
+
+    const folderURI = dataURI.slice(0, -('example.txt'.length))
+
+    const makeKeyResponse = await fetch('ipns://localhost/?key=put-file', {
+      method: 'POST'
+    })
+
+    t.ok(makeKeyResponse.ok, 'Got OK in response')
+
+    const ipnsRoot = makeKeyResponse.headers.get('Location')
+
+    t.ok(ipnsRoot.startsWith('ipns://k'), 'Got created base36 encoded IPNS URL')
+
+    const publishResponse = await fetch(ipnsRoot, {
+      method: 'post',
+      body: folderURI
+    })
+
+    t.ok(publishResponse.ok, 'Got OK in response')
+
+    const updatedURL = publishResponse.headers.get('Location')
+
+    t.ok(updatedURL.startsWith('ipns://k'), 'Got base36 encoded IPNS url')
+    t.equal(updatedURL, ipnsRoot, 'Got same public key after update')
+
+    const resolvedResponse = await fetch(updatedURL, {
+      headers: {
+        Accept: 'application/json'
+      }
+    })
+
+    t.ok(resolvedResponse.ok, 'Got OK in response')
+
+    const files = await resolvedResponse.json()
+    t.deepEqual(files, ['example.txt'], 'resolved files')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('Generate IPNS keys of different types', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    const defaultResponse = await fetch('ipns://localhost/?key=default-type', {
+      method: 'POST'
+    })
+
+    await checkOk(defaultResponse, 'Create key with default type', t)
+
+    const defaultURL = defaultResponse.headers.get('Location')
+    t.ok(defaultURL.startsWith('ipns://k51'), 'Default key type is ed25519')
+
+    const rsaResponse = await fetch('ipns://localhost/?key=rsa-type&type=rsa&size=2048', {
+      method: 'POST'
+    })
+
+    await checkOk(rsaResponse, 'Create RSA key', t)
+
+    const rsaURL = rsaResponse.headers.get('Location')
+    t.ok(rsaURL.startsWith('ipns://k2k4r'), 'Got RSA key URL')
+
+    const headerResponse = await fetch('ipns://localhost/?key=header-type', {
+      method: 'POST',
+      headers: {
+        'X-Key-Type': 'rsa'
+      }
+    })
+
+    await checkOk(headerResponse, 'Create key with type header', t)
+
+    const headerURL = headerResponse.headers.get('Location')
+    t.ok(headerURL.startsWith('ipns://k2k4r'), 'Got RSA key URL from header')
+
+    const lookupResponse = await fetch('ipns://localhost/?key=rsa-type', {
+      redirect: 'manual'
+    })
+
+    t.equal(lookupResponse.headers.get('Location'), rsaURL, 'Able to look up key by name')
+
+    const invalidResponse = await fetch('ipns://localhost/?key=invalid-type&type=dsa', {
+      method: 'POST'
+    })
+
+    t.equal(invalidResponse.status, 400, 'Unsupported key type is rejected')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('List IPNS keys', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    const makeKeyResponse = await fetch('ipns://localhost/?key=list-keys', {
+      method: 'POST'
+    })
+
+    await checkOk(makeKeyResponse, 'Create IPNS key', t)
+
+    const ipnsRoot = makeKeyResponse.headers.get('Location')
+
+    const listResponse = await fetch('ipns://localhost/?resolve')
+
+    await checkOk(listResponse, 'Able to list keys', t)
+
+    const keys = await listResponse.json()
+
+    const key = keys.find(({ name }) => name === 'list-keys')
+
+    t.ok(key, 'Created key is in the list')
+    t.equal(key.url, ipnsRoot, 'Key has its IPNS URL')
+    t.equal(key.value, '/ipfs/bafyaabakaieac', 'Key has its resolved value')
+
+    const htmlResponse = await fetch('ipns://localhost/', {
+      headers: {
+        Accept: 'text/html'
+      }
+    })
+
+    await checkOk(htmlResponse, 'Able to list keys as HTML', t)
+
+    const html = await htmlResponse.text()
+
+    t.ok(html.includes(ipnsRoot), 'HTML links to the key')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('Export and import IPNS keys', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    const password = 'correct horse battery staple'
+
+    const makeKeyResponse = await fetch('ipns://localhost/?key=export-key', {
+      method: 'POST'
+    })
+
+    await checkOk(makeKeyResponse, 'Create IPNS key', t)
+
+    const clashResponse = await fetch('ipns://localhost/?key=export-key', {
+      method: 'PUT',
+      headers: {
+        'X-Key-Password': password
+      },
+      body: 'whatever'
+    })
+
+    t.equal(clashResponse.status, 409, 'Importing over existing key is a conflict')
+
+    const badKeyResponse = await fetch('ipns://localhost/?key=bad-key', {
+      method: 'PUT',
+      headers: {
+        'X-Key-Password': password
+      },
+      body: 'Not a key'
+    })
+
+    t.equal(badKeyResponse.status, 400, 'Invalid key material is rejected')
+    t.ok((await badKeyResponse.text()).includes('PEM'), 'Got reason for rejecting key')
+
+    // The protobuf format is what `ipfs key export` makes by default
+    const protobufResponse = await fetch('ipns://localhost/?key=bad-key', {
+      method: 'PUT',
+      headers: {
+        'X-Key-Password': password
+      },
+      body: new Uint8Array([0x08, 0x01, 0x12, 0x40, ...crypto.randomBytes(64)])
+    })
+
+    t.equal(protobufResponse.status, 400, 'Protobuf keys are rejected')
+
+    // The HTTP client can't export keys, see the in-process test below for the round trip
+    const exportResponse = await fetch('ipns://localhost/?key=export-key&format=pem', {
+      headers: {
+        'X-Key-Password': password
+      }
+    })
+
+    t.equal(exportResponse.status, 501, 'Key export is not supported over HTTP')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('Export and import IPNS keys with an in-process node', async (t) => {
+  const repo = `${os.tmpdir()}/ipfs-fetch-keys-${crypto.randomBytes(8).toString('hex')}`
+  let ipfs = null
+  try {
+    ipfs = await IPFS.create({
+      repo,
+      offline: true,
+      silent: true,
+      config: { Bootstrap: [] }
+    })
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    const password = 'correct horse battery staple'
+
+    // RSA keys get exported as standard PEM files
+    const makeKeyResponse = await fetch('ipns://localhost/?key=export-key&type=rsa', {
+      method: 'POST'
+    })
+
+    await checkOk(makeKeyResponse, 'Create IPNS key', t)
+
+    const ipnsRoot = makeKeyResponse.headers.get('Location')
+
+    const exportResponse = await fetch('ipns://localhost/?key=export-key&format=pem', {
+      headers: {
+        'X-Key-Password': password
+      }
+    })
+
+    await checkOk(exportResponse, 'Able to export key', t)
+
+    const pem = await exportResponse.text()
+
+    t.ok(pem.includes('ENCRYPTED PRIVATE KEY'), 'Got encrypted PEM')
+
+    const deleteResponse = await fetch('ipns://localhost/?key=export-key', {
+      method: 'DELETE'
+    })
+
+    await checkOk(deleteResponse, 'Able to delete key', t)
+
+    const importResponse = await fetch('ipns://localhost/?key=export-key', {
+      method: 'PUT',
+      headers: {
+        'X-Key-Password': password
+      },
+      body: pem
+    })
+
+    await checkOk(importResponse, 'Able to import key', t)
+
+    t.equal(importResponse.headers.get('Location'), ipnsRoot, 'Imported key has same IPNS URL')
+
+    const wrongPasswordResponse = await fetch('ipns://localhost/?key=other-key', {
+      method: 'PUT',
+      headers: {
+        'X-Key-Password': 'wrong password'
+      },
+      body: pem
+    })
+
+    t.equal(wrongPasswordResponse.status, 400, 'Wrong password is rejected')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+    await fs.promises.rm(repo, { recursive: true, force: true })
+  }
+})
+
+test('Publish IPNS with custom lifetime and TTL', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    const makeKeyResponse = await fetch('ipns://localhost/?key=record-options', {
+      method: 'POST'
+    })
+
+    await checkOk(makeKeyResponse, 'Create IPNS key', t)
+
+    const ipnsRoot = makeKeyResponse.headers.get('Location')
+
+    const publishResponse = await fetch(`${ipnsRoot}?lifetime=72h`, {
+      method: 'POST',
+      headers: {
+        'X-IPNS-TTL': '5m'
+      },
+      body: `${EMPTY_DIR_URL}/`
+    })
+
+    await checkOk(publishResponse, 'Able to publish with options', t)
+
+    t.equal(publishResponse.headers.get('X-IPNS-Lifetime'), '72h', 'Lifetime echoed back')
+    t.equal(publishResponse.headers.get('X-IPNS-TTL'), '5m', 'TTL echoed back')
+
+    const putResponse = await fetch(`${ipnsRoot}example.txt`, {
+      method: 'PUT',
+      headers: {
+        'X-IPNS-Lifetime': '1h30m'
+      },
       body: TEST_DATA
     })
 
-    await checkOk(response1)
+    await checkOk(putResponse, 'Able to PUT with options', t)
+
+    t.equal(putResponse.headers.get('X-IPNS-Lifetime'), '1h30m', 'Lifetime echoed back')
+    t.equal(putResponse.headers.get('X-IPNS-TTL'), null, 'Node default TTL is left alone')
+
+    const sequenceResponse = await fetch(`${ipnsRoot}?sequence=42`, {
+      method: 'POST',
+      body: `${EMPTY_DIR_URL}/`
+    })
+
+    t.equal(sequenceResponse.status, 400, 'Setting the sequence number is rejected')
+
+    const invalidResponse = await fetch(`${ipnsRoot}example.txt`, {
+      method: 'DELETE',
+      headers: {
+        'X-IPNS-TTL': 'forever'
+      }
+    })
+
+    t.equal(invalidResponse.status, 400, 'Invalid durations are rejected')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('Get and republish signed IPNS records', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    const makeKeyResponse = await fetch('ipns://localhost/?key=ipns-record', {
+      method: 'POST'
+    })
+
+    await checkOk(makeKeyResponse, 'Create IPNS key', t)
+
+    const ipnsRoot = makeKeyResponse.headers.get('Location')
+
+    const recordResponse = await fetch(ipnsRoot, {
+      headers: {
+        Accept: 'application/vnd.ipfs.ipns-record'
+      }
+    })
+
+    await checkOk(recordResponse, 'Able to get IPNS record', t)
+
+    const contentType = recordResponse.headers.get('Content-Type')
+    t.equal(contentType, 'application/vnd.ipfs.ipns-record', 'Got IPNS record content type')
+
+    const record = await recordResponse.arrayBuffer()
+
+    t.ok(record.byteLength, 'Got record bytes')
+
+    const formatResponse = await fetch(`${ipnsRoot}?format=ipns-record`)
+
+    await checkOk(formatResponse, 'Able to get IPNS record via format', t)
+
+    const formatRecord = Buffer.from(await formatResponse.arrayBuffer())
+
+    t.ok(formatRecord.equals(Buffer.from(record)), 'Got same record')
+
+    const republishResponse = await fetch(ipnsRoot, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/vnd.ipfs.ipns-record'
+      },
+      body: record
+    })
+
+    await checkOk(republishResponse, 'Able to republish IPNS record', t)
+
+    t.equal(republishResponse.headers.get('Location'), ipnsRoot, 'Got IPNS URL for record')
+
+    const subpathResponse = await fetch(`${ipnsRoot}example.txt?format=ipns-record`)
+
+    t.equal(subpathResponse.status, 400, 'Records can only be fetched from the root')
+
+    const { id: unpublishedId } = await ipfs.key.gen('unpublished-record', { type: 'ed25519' })
+    const missingResponse = await fetch(`ipns://${unpublishedId}/?format=ipns-record`)
+
+    t.equal(missingResponse.status, 404, 'Missing records are a 404')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('PUT FormData to IPNS', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    t.pass('Able to make create fetch instance')
+
+    const makeKeyResponse = await fetch('ipns://localhost/?key=put-file', {
+      method: 'POST'
+    })
+
+    t.ok(makeKeyResponse.ok, 'Got OK in response')
+
+    const ipnsRoot = makeKeyResponse.headers.get('Location')
+
+    const form = new FormData()
+
+    form.append('file', TEST_DATA_BLOB, 'example.txt')
+
+    form.append('file', TEST_DATA_BLOB, 'example2.txt')
+
+    const response = await fetch(ipnsRoot, {
+      method: 'PUT',
+      body: form
+    })
+
+    t.ok(response.ok, 'Got OK in response')
+
+    if (!response.ok) {
+      throw new Error(await response.text())
+    }
+
+    const ipnsUri = await response.text()
+    t.match(ipnsUri, /ipns:\/\/\w+\//, 'returned IPFS url with CID')
+
+    const directoryResponse = await fetch(`${ipnsUri}?noResolve`)
+
+    t.ok(directoryResponse.ok, 'Able to list directory')
+
+    const files = await directoryResponse.json()
+
+    t.deepEqual(files, ['example.txt', 'example2.txt'], 'Multiple files got uploaded')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('PUT file to update IPNS', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    t.pass('Able to make create fetch instance')
+
+    const addResults = await collect(ipfs.addAll([
+      { path: '/example.txt', content: TEST_DATA }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+
+    // The last element should be the directory itself
+    const { cid } = addResults.at(-1)
+    const folderURI = `ipfs://${cid}/`
+
+    const makeKeyResponse = await fetch('ipns://localhost/?key=update-file', {
+      method: 'POST'
+    })
+
+    await checkOk(makeKeyResponse, 'Create IPNS URL', t)
+
+    const ipnsRoot = makeKeyResponse.headers.get('Location')
+
+    const publishResponse = await fetch(ipnsRoot, {
+      method: 'post',
+      body: folderURI
+    })
+
+    await checkOk(publishResponse, 'Able to post URL to IPNS', t)
+
+    const updatedURI = publishResponse.headers.get('Location')
+
+    t.equal(updatedURI, ipnsRoot, 'After updating, IPNS key stayed the same')
+
+    const resolvedResponse1 = await fetch(ipnsRoot, {
+      headers: {
+        Accept: 'application/json'
+      }
+    })
+
+    await checkOk(resolvedResponse1, 'Able to fetch IPNS data back')
 
-    const firstURL = response1.headers.get('Location')
+    const file = await resolvedResponse1.json()
+    t.deepEqual(file, ['example.txt'], 'resolved file')
 
-    // Use different file name
-    const response2 = await fetch(firstURL.replace('example.txt', 'example2.txt'), {
+    const putResponse = await fetch(ipnsRoot + 'example2.txt', {
       method: 'put',
       body: TEST_DATA
     })
 
-    t.ok(response2.ok, 'Got OK in response')
-
-    const ipfsUri = response2.headers.get('Location')
-    t.match(ipfsUri, /^ipfs:\/\/\w+\/example2.txt$/, 'returned IPFS url with CID')
-
-    const fileResponse = await fetch(ipfsUri)
-    t.ok(fileResponse.ok, 'Got OK in response')
+    await checkOk(putResponse, 'Able to upload to IPNS url with data', t)
 
-    const text = await fileResponse.text()
-    t.equal(text, TEST_DATA, 'Able to load uploaded file')
+    const updatedURI2 = putResponse.headers.get('Location')
 
-    // Split out the file from the path
-    const parentURI = ipfsUri.split('/').slice(0, -1).join('/') + '/'
+    t.equal(updatedURI2, ipnsRoot, 'After updating, IPNS key stayed the same')
 
-    const dirResponse = await fetch(parentURI)
+    const resolvedResponse2 = await fetch(ipnsRoot, {
+      headers: {
+        Accept: 'application/json'
+      }
+    })
 
-    const files = await dirResponse.json()
+    await checkOk(resolvedResponse2, 'Able to fetch IPNS data back')
 
-    t.deepEqual(files, ['example.txt', 'example2.txt'], 'Both files in CID directory')
+    const files = await resolvedResponse2.json()
+    t.deepEqual(files, ['example.txt', 'example2.txt'], 'resolved files')
   } finally {
     try {
       if (ipfs) await ipfs.stop()
@@ -664,32 +2216,103 @@ test('PUT to a CID', async (t) => {
   }
 })
 
-test('POST a CAR to localhost', async (t) => {
+test('Conditional writes with If-Match and If-None-Match', async (t) => {
   let ipfs = null
   try {
     ipfs = await getInstance()
 
     const fetch = await makeIPFSFetch({ ipfs })
 
-    const dagCID = await ipfs.dag.put({ hello: 'world' }, { storeCodec: 'dag-cbor' })
+    const makeKeyResponse = await fetch('ipns://localhost/?key=conditional-writes', {
+      method: 'POST'
+    })
 
-    const body = Buffer.concat(await collect(ipfs.dag.export(dagCID)))
+    await checkOk(makeKeyResponse, 'Create IPNS URL', t)
 
-    const response = await fetch('ipfs://localhost/', {
+    const ipnsRoot = makeKeyResponse.headers.get('Location')
+
+    const firstResponse = await fetch(ipnsRoot + 'example.txt', {
+      method: 'PUT',
+      body: TEST_DATA
+    })
+
+    await checkOk(firstResponse, 'Able to upload to IPNS', t)
+
+    const firstETag = firstResponse.headers.get('ETag')
+    t.ok(firstETag, 'Got ETag for new root')
+
+    const secondResponse = await fetch(ipnsRoot + 'example2.txt', {
+      method: 'PUT',
       headers: {
-        'Content-Type': 'application/vnd.ipld.car'
+        'If-Match': firstETag
       },
-      method: 'POST',
-      body
+      body: TEST_DATA
     })
 
-    t.ok(response.ok, 'ok in response')
+    await checkOk(secondResponse, 'Able to upload with matching If-Match', t)
 
-    const roots = (await response.text()).split('\n')
+    const secondETag = secondResponse.headers.get('ETag')
 
-    const expectedURL = `ipfs://${dagCID.toV1().toString()}/`
+    const staleResponse = await fetch(ipnsRoot + 'example3.txt', {
+      method: 'PUT',
+      headers: {
+        'If-Match': firstETag
+      },
+      body: TEST_DATA
+    })
 
-    t.deepEqual(roots, [expectedURL], 'Got expected roots')
+    t.equal(staleResponse.status, 412, 'Stale If-Match got rejected')
+    t.equal(staleResponse.headers.get('ETag'), secondETag, 'Got current root in ETag')
+
+    const staleDeleteResponse = await fetch(ipnsRoot + 'example.txt', {
+      method: 'DELETE',
+      headers: {
+        'If-Match': firstETag
+      }
+    })
+
+    t.equal(staleDeleteResponse.status, 412, 'Stale If-Match got rejected for DELETE')
+
+    const suffixedResponse = await fetch(ipnsRoot + 'example.txt', {
+      method: 'DELETE',
+      headers: {
+        'If-Match': secondETag.replace(/"$/, '.car"')
+      }
+    })
+
+    t.equal(suffixedResponse.status, 412, 'If-Match needs the exact ETag of the root')
+
+    const deleteResponse = await fetch(ipnsRoot + 'example.txt', {
+      method: 'DELETE',
+      headers: {
+        'If-Match': secondETag
+      }
+    })
+
+    await checkOk(deleteResponse, 'Able to delete with matching If-Match', t)
+
+    const createResponse = await fetch(`${EMPTY_DIR_URL}/example.txt`, {
+      method: 'PUT',
+      headers: {
+        'If-None-Match': '*'
+      },
+      body: TEST_DATA
+    })
+
+    await checkOk(createResponse, 'Able to create new file with If-None-Match', t)
+
+    const fileURL = createResponse.headers.get('Location')
+
+    const overwriteResponse = await fetch(fileURL, {
+      method: 'PUT',
+      headers: {
+        'If-None-Match': '*'
+      },
+      body: 'Goodbye World!'
+    })
+
+    t.equal(overwriteResponse.status, 412, 'Not able to overwrite existing file')
+    t.match(await overwriteResponse.text(), /^ipfs:\/\/\w+\/$/, 'Got URL of existing file')
   } finally {
     try {
       if (ipfs) await ipfs.stop()
@@ -700,56 +2323,324 @@ test('POST a CAR to localhost', async (t) => {
   }
 })
 
-test('Publish and resolve IPNS', async (t) => {
+test('PATCH a directory with several operations', async (t) => {
   let ipfs = null
   try {
     ipfs = await getInstance()
 
     const fetch = await makeIPFSFetch({ ipfs })
 
-    t.pass('Able to make create fetch instance')
+    const results = await collect(ipfs.addAll([
+      { path: '/example.txt', content: TEST_DATA },
+      { path: '/example2.txt', content: TEST_DATA }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+    const rootCID = results[results.length - 1].cid.toV1().toString()
 
-    const dataRequest = await fetch(`${EMPTY_DIR_URL}/example.txt`, {
-      method: 'put',
+    const linkResponse = await fetch(`${EMPTY_DIR_URL}/linked.txt`, {
+      method: 'PUT',
       body: TEST_DATA
     })
-    await checkOk(dataRequest)
-    const dataURI = dataRequest.headers.get('Location')
+    await checkOk(linkResponse, 'Able to upload file to link', t)
+    const linkURL = linkResponse.headers.get('Location')
 
-    const folderURI = dataURI.slice(0, -('example.txt'.length))
+    const response = await fetch(`ipfs://${rootCID}/`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify([
+        { op: 'write', path: 'new file.txt', content: TEST_DATA },
+        { op: 'move', from: 'example.txt', path: 'moved/example.txt' },
+        { op: 'copy', from: 'example2.txt', path: 'copy.txt' },
+        { op: 'delete', path: 'example2.txt' },
+        { op: 'mkdir', path: 'empty' },
+        { op: 'link', path: 'linked.txt', url: linkURL }
+      ])
+    })
 
-    const makeKeyResponse = await fetch('ipns://localhost/?key=put-file', {
+    await checkOk(response, 'Able to PATCH directory', t)
+
+    const patchedURL = response.headers.get('Location')
+    const listResponse = await fetch(`${patchedURL}?noResolve`)
+    t.deepEqual(
+      await listResponse.json(),
+      ['copy.txt', 'empty/', 'linked.txt', 'moved/', 'new file.txt'],
+      'All operations got applied'
+    )
+
+    const movedResponse = await fetch(`${patchedURL}moved/example.txt`)
+    t.equal(await movedResponse.text(), TEST_DATA, 'Moved file has contents')
+
+    const failedResponse = await fetch(`ipfs://${rootCID}/`, {
+      method: 'PATCH',
+      body: JSON.stringify([
+        { op: 'write', path: 'other.txt', content: TEST_DATA },
+        { op: 'delete', path: 'missing.txt' }
+      ])
+    })
+
+    t.equal(failedResponse.status, 409, 'Failed operations reject the whole PATCH')
+
+    const invalidResponse = await fetch(`ipfs://${rootCID}/`, {
+      method: 'PATCH',
+      body: JSON.stringify([{ op: 'write', path: '../escape.txt', content: TEST_DATA }])
+    })
+
+    t.equal(invalidResponse.status, 400, 'Invalid operations get rejected')
+
+    const boundary = 'patch-boundary'
+    const formStart = [
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="operations"',
+      '',
+      JSON.stringify([
+        { op: 'delete', path: 'missing.txt' },
+        { op: 'write', path: 'endless.txt', file: 'endless' }
+      ]),
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="endless"; filename="endless.txt"',
+      '',
+      ''
+    ].join('\r\n')
+    let bodyCancelled = false
+    // The file part never ends, so the form only stops if parsing gets aborted
+    const endlessBody = new ReadableStream({
+      start (controller) {
+        controller.enqueue(Buffer.from(formStart))
+      },
+      pull (controller) {
+        controller.enqueue(new Uint8Array(1024))
+      },
+      cancel () {
+        bodyCancelled = true
+      }
+    })
+
+    const abortedResponse = await fetch(`ipfs://${rootCID}/`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': `multipart/form-data; boundary=${boundary}`
+      },
+      body: endlessBody,
+      duplex: 'half'
+    })
+
+    t.equal(abortedResponse.status, 409, 'Failed operation in a form rejects the PATCH')
+    // The body gets cancelled as the parser gets cleaned up
+    await new Promise((resolve) => setTimeout(resolve, 100))
+    t.ok(bodyCancelled, 'Rest of the form stopped getting read')
+
+    const makeKeyResponse = await fetch('ipns://localhost/?key=patch-directory', {
       method: 'POST'
     })
 
-    t.ok(makeKeyResponse.ok, 'Got OK in response')
+    await checkOk(makeKeyResponse, 'Create IPNS URL', t)
 
     const ipnsRoot = makeKeyResponse.headers.get('Location')
 
-    t.ok(ipnsRoot.startsWith('ipns://k'), 'Got created base36 encoded IPNS URL')
+    const form = new FormData()
+    form.append('operations', JSON.stringify([
+      { op: 'write', path: 'example.txt', file: 'first' },
+      { op: 'write', path: 'nested/example.txt', file: 'second' }
+    ]))
+    form.append('first', new Blob([TEST_DATA]), 'example.txt')
+    form.append('second', new Blob([TEST_DATA]), 'example.txt')
+
+    const ipnsResponse = await fetch(ipnsRoot, {
+      method: 'PATCH',
+      body: form
+    })
 
-    const publishResponse = await fetch(ipnsRoot, {
-      method: 'post',
-      body: folderURI
+    await checkOk(ipnsResponse, 'Able to PATCH IPNS with FormData', t)
+
+    const ipnsListResponse = await fetch(`${ipnsRoot}?noResolve`)
+    t.deepEqual(await ipnsListResponse.json(), ['example.txt', 'nested/'], 'Files got published together')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('MOVE and COPY files with a Destination', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    const results = await collect(ipfs.addAll([
+      { path: '/example.txt', content: TEST_DATA },
+      { path: '/folder/example2.txt', content: TEST_DATA }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+    const rootCID = results[results.length - 1].cid.toV1().toString()
+
+    const moveResponse = await fetch(`ipfs://${rootCID}/example.txt`, {
+      method: 'MOVE',
+      headers: {
+        Destination: `ipfs://${rootCID}/renamed.txt`
+      }
     })
 
-    t.ok(publishResponse.ok, 'Got OK in response')
+    await checkOk(moveResponse, 'Able to MOVE file', t)
 
-    const updatedURL = publishResponse.headers.get('Location')
+    const movedURL = moveResponse.headers.get('Location')
+    t.match(movedURL, /^ipfs:\/\/\w+\/renamed.txt$/, 'Got URL of moved file in new root')
 
-    t.ok(updatedURL.startsWith('ipns://k'), 'Got base36 encoded IPNS url')
-    t.equal(updatedURL, ipnsRoot, 'Got same public key after update')
+    const movedResponse = await fetch(movedURL)
+    t.equal(await movedResponse.text(), TEST_DATA, 'Moved file has contents')
 
-    const resolvedResponse = await fetch(updatedURL, {
+    const movedRoot = movedURL.replace('renamed.txt', '')
+    const movedListResponse = await fetch(`${movedRoot}?noResolve`)
+    t.deepEqual(await movedListResponse.json(), ['folder/', 'renamed.txt'], 'Original file is gone')
+
+    const copyResponse = await fetch(`${movedRoot}folder/`, {
+      method: 'COPY',
       headers: {
-        Accept: 'application/json'
+        Destination: '/copy/'
+      }
+    })
+
+    await checkOk(copyResponse, 'Able to COPY folder', t)
+
+    const copiedURL = copyResponse.headers.get('Location')
+    const copiedListResponse = await fetch(`${copiedURL}?noResolve`)
+    t.deepEqual(await copiedListResponse.json(), ['example2.txt'], 'Folder got copied')
+
+    const noOverwriteResponse = await fetch(`${movedRoot}renamed.txt`, {
+      method: 'COPY',
+      headers: {
+        Destination: '/folder/example2.txt',
+        Overwrite: 'F'
+      }
+    })
+
+    t.equal(noOverwriteResponse.status, 412, 'Overwrite: F does not replace existing files')
+
+    const otherRootResponse = await fetch(`${movedRoot}renamed.txt`, {
+      method: 'MOVE',
+      headers: {
+        Destination: `${EMPTY_DIR_URL}/renamed.txt`
+      }
+    })
+
+    t.equal(otherRootResponse.status, 400, 'Destination must be in the same root')
+
+    const makeKeyResponse = await fetch('ipns://localhost/?key=move-file', {
+      method: 'POST'
+    })
+
+    await checkOk(makeKeyResponse, 'Create IPNS URL', t)
+
+    const ipnsRoot = makeKeyResponse.headers.get('Location')
+
+    const putResponse = await fetch(`${ipnsRoot}example.txt`, {
+      method: 'PUT',
+      body: TEST_DATA
+    })
+
+    await checkOk(putResponse, 'Able to upload to IPNS', t)
+
+    const ipnsMoveResponse = await fetch(`${ipnsRoot}example.txt`, {
+      method: 'MOVE',
+      headers: {
+        Destination: '/renamed.txt'
       }
     })
 
-    t.ok(resolvedResponse.ok, 'Got OK in response')
-
-    const files = await resolvedResponse.json()
-    t.deepEqual(files, ['example.txt'], 'resolved files')
+    await checkOk(ipnsMoveResponse, 'Able to MOVE within IPNS', t)
+
+    const ipnsListResponse = await fetch(`${ipnsRoot}?noResolve`)
+    t.deepEqual(await ipnsListResponse.json(), ['renamed.txt'], 'IPNS got republished')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('PUT a uri-list to link existing data', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    const distResults = await collect(ipfs.addAll([
+      { path: '/dist/app.js', content: TEST_DATA }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+    const distCID = distResults[distResults.length - 1].cid.toV1().toString()
+
+    const siteResults = await collect(ipfs.addAll([
+      { path: '/index.html', content: TEST_DATA }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+    const siteCID = siteResults[siteResults.length - 1].cid.toV1().toString()
+
+    const response = await fetch(`ipfs://${siteCID}/v2`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'text/uri-list'
+      },
+      body: `# Release build\nipfs://${distCID}/dist/\n`
+    })
+
+    await checkOk(response, 'Able to link URL', t)
+
+    const linkedURL = response.headers.get('Location')
+    t.match(linkedURL, /^ipfs:\/\/\w+\/v2$/, 'Got URL of link in new root')
+
+    const fileResponse = await fetch(`${linkedURL}/app.js`)
+    t.equal(await fileResponse.text(), TEST_DATA, 'Linked data is in the new root')
+
+    const directoryResponse = await fetch(`ipfs://${siteCID}/libs/`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'text/uri-list'
+      },
+      body: `ipfs://${distCID}/dist/app.js\nipfs://${distCID}/dist/\n`
+    })
+
+    await checkOk(directoryResponse, 'Able to link several URLs into a directory', t)
+
+    const listResponse = await fetch(`${directoryResponse.headers.get('Location')}?noResolve`)
+    t.deepEqual(await listResponse.json(), ['app.js', 'dist/'], 'Links are named after their URLs')
+
+    const makeKeyResponse = await fetch('ipns://localhost/?key=link-data', {
+      method: 'POST'
+    })
+
+    await checkOk(makeKeyResponse, 'Create IPNS URL', t)
+
+    const ipnsRoot = makeKeyResponse.headers.get('Location')
+
+    const ipnsResponse = await fetch(`${ipnsRoot}dist`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'text/uri-list'
+      },
+      body: `ipfs://${distCID}/dist/`
+    })
+
+    await checkOk(ipnsResponse, 'Able to link into IPNS', t)
+
+    const ipnsFileResponse = await fetch(`${ipnsRoot}dist/app.js`)
+    t.equal(await ipnsFileResponse.text(), TEST_DATA, 'Linked data got published')
+
+    const invalidResponse = await fetch(`ipfs://${siteCID}/v2`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'text/uri-list'
+      },
+      body: 'https://example.com/'
+    })
+
+    t.equal(invalidResponse.status, 400, 'Only IPFS and IPNS URLs can be linked')
   } finally {
     try {
       if (ipfs) await ipfs.stop()
@@ -760,50 +2651,134 @@ test('Publish and resolve IPNS', async (t) => {
   }
 })
 
-test('PUT FormData to IPNS', async (t) => {
+test('Browse and edit with WebDAV methods', async (t) => {
   let ipfs = null
   try {
     ipfs = await getInstance()
 
     const fetch = await makeIPFSFetch({ ipfs })
 
-    t.pass('Able to make create fetch instance')
+    const results = await collect(ipfs.addAll([
+      { path: '/example file.txt', content: TEST_DATA },
+      { path: '/docs/readme.md', content: TEST_DATA }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+    const rootCID = results[results.length - 1].cid.toV1().toString()
 
-    const makeKeyResponse = await fetch('ipns://localhost/?key=put-file', {
-      method: 'POST'
+    const optionsResponse = await fetch(`ipfs://${rootCID}/`, {
+      method: 'OPTIONS'
     })
 
-    t.ok(makeKeyResponse.ok, 'Got OK in response')
+    await checkOk(optionsResponse, 'Able to get OPTIONS', t)
+    t.equal(optionsResponse.headers.get('DAV'), '1, 2', 'Got DAV compliance header')
+    t.ok(optionsResponse.headers.get('Allow').includes('PROPFIND'), 'PROPFIND is allowed')
 
-    const ipnsRoot = makeKeyResponse.headers.get('Location')
+    const listResponse = await fetch(`ipfs://${rootCID}/`, {
+      method: 'PROPFIND',
+      headers: {
+        Depth: '1'
+      }
+    })
 
-    const form = new FormData()
+    t.equal(listResponse.status, 207, 'Got multistatus response')
+    const listing = await listResponse.text()
+    t.ok(listing.includes('<D:href>/example%20file.txt</D:href>'), 'Listed file')
+    t.ok(listing.includes('<D:href>/docs/</D:href>'), 'Listed directory')
+    t.ok(listing.includes(`<D:getcontentlength>${TEST_DATA.length}</D:getcontentlength>`), 'Got file size')
+    t.ok(listing.includes('<D:collection/>'), 'Directories are collections')
 
-    form.append('file', TEST_DATA_BLOB, 'example.txt')
+    const fileResponse = await fetch(`ipfs://${rootCID}/docs/readme.md`, {
+      method: 'PROPFIND',
+      headers: {
+        Depth: '0'
+      }
+    })
 
-    form.append('file', TEST_DATA_BLOB, 'example2.txt')
+    t.equal(fileResponse.status, 207, 'Able to PROPFIND a file')
+    const fileInfo = await fileResponse.text()
+    t.equal(fileInfo.match(/<D:response>/g).length, 1, 'Depth 0 only has the file')
+    t.ok(fileInfo.includes('<I:cid>'), 'Got CID of file')
 
-    const response = await fetch(ipnsRoot, {
-      method: 'PUT',
-      body: form
+    const missingResponse = await fetch(`ipfs://${rootCID}/missing`, {
+      method: 'PROPFIND',
+      headers: {
+        Depth: '0'
+      }
     })
 
-    t.ok(response.ok, 'Got OK in response')
+    t.equal(missingResponse.status, 404, 'Missing paths are 404')
 
-    if (!response.ok) {
-      throw new Error(await response.text())
-    }
+    const noDepthResponse = await fetch(`ipfs://${rootCID}/docs/`, {
+      method: 'PROPFIND'
+    })
 
-    const ipnsUri = await response.text()
-    t.match(ipnsUri, /ipns:\/\/\w+\//, 'returned IPFS url with CID')
+    t.equal(noDepthResponse.status, 403, 'No Depth means infinity which is not supported')
 
-    const directoryResponse = await fetch(`${ipnsUri}?noResolve`)
+    const mkcolResponse = await fetch(`ipfs://${rootCID}/new folder`, {
+      method: 'MKCOL'
+    })
 
-    t.ok(directoryResponse.ok, 'Able to list directory')
+    t.equal(mkcolResponse.status, 201, 'Able to MKCOL')
+    const folderURL = mkcolResponse.headers.get('Location')
+    t.match(folderURL, /^ipfs:\/\/\w+\/new%20folder\/$/, 'Got URL of folder in new root')
 
-    const files = await directoryResponse.json()
+    const folderResponse = await fetch(`${folderURL}?noResolve`)
+    t.deepEqual(await folderResponse.json(), [], 'Folder is empty')
 
-    t.deepEqual(files, ['example.txt', 'example2.txt'], 'Multiple files got uploaded')
+    const existingResponse = await fetch(`ipfs://${rootCID}/docs`, {
+      method: 'MKCOL'
+    })
+
+    t.equal(existingResponse.status, 405, 'Unable to MKCOL existing path')
+
+    const noParentResponse = await fetch(`ipfs://${rootCID}/missing/folder`, {
+      method: 'MKCOL'
+    })
+
+    t.equal(noParentResponse.status, 409, 'Unable to MKCOL without a parent')
+
+    const mismatchedResponse = await fetch(`ipfs://${rootCID}/other folder`, {
+      method: 'MKCOL',
+      headers: {
+        'If-Match': `"${folderURL.slice('ipfs://'.length).split('/')[0]}"`
+      }
+    })
+
+    t.equal(mismatchedResponse.status, 412, 'MKCOL checks If-Match')
+
+    const lockResponse = await fetch(`ipfs://${rootCID}/docs/readme.md`, {
+      method: 'LOCK'
+    })
+
+    await checkOk(lockResponse, 'Able to LOCK', t)
+    t.match(
+      lockResponse.headers.get('Lock-Token'),
+      /^<opaquelocktoken:[\da-f]{8}-[\da-f]{4}-4[\da-f]{3}-[89ab][\da-f]{3}-[\da-f]{12}>$/,
+      'Got lock token with a UUID'
+    )
+
+    const makeKeyResponse = await fetch('ipns://localhost/?key=webdav', {
+      method: 'POST'
+    })
+
+    await checkOk(makeKeyResponse, 'Create IPNS URL', t)
+
+    const ipnsRoot = makeKeyResponse.headers.get('Location')
+
+    const ipnsMkcolResponse = await fetch(`${ipnsRoot}folder`, {
+      method: 'MKCOL'
+    })
+
+    await checkOk(ipnsMkcolResponse, 'Able to MKCOL in IPNS', t)
+
+    const ipnsListResponse = await fetch(ipnsRoot, {
+      method: 'PROPFIND',
+      headers: {
+        Depth: '1'
+      }
+    })
+
+    t.equal(ipnsListResponse.status, 207, 'Able to PROPFIND IPNS')
+    t.ok((await ipnsListResponse.text()).includes('<D:href>/folder/</D:href>'), 'IPNS got republished')
   } finally {
     try {
       if (ipfs) await ipfs.stop()
@@ -814,74 +2789,99 @@ test('PUT FormData to IPNS', async (t) => {
   }
 })
 
-test('PUT file to update IPNS', async (t) => {
+test('Create and follow symlinks', async (t) => {
   let ipfs = null
   try {
     ipfs = await getInstance()
 
     const fetch = await makeIPFSFetch({ ipfs })
 
-    t.pass('Able to make create fetch instance')
-
-    const addResults = await collect(ipfs.addAll([
-      { path: '/example.txt', content: TEST_DATA }
+    const results = await collect(ipfs.addAll([
+      { path: '/v1/example.txt', content: TEST_DATA },
+      { path: '/v1/index.html', content: TEST_DATA }
     ], { wrapWithDirectory: true, cidVersion: 1 }))
+    const rootCID = results[results.length - 1].cid.toV1().toString()
 
-    // The last element should be the directory itself
-    const { cid } = addResults.at(-1)
-    const folderURI = `ipfs://${cid}/`
-
-    const makeKeyResponse = await fetch('ipns://localhost/?key=update-file', {
-      method: 'POST'
+    const putResponse = await fetch(`ipfs://${rootCID}/latest`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'inode/symlink'
+      },
+      body: 'v1'
     })
 
-    await checkOk(makeKeyResponse, 'Create IPNS URL', t)
+    await checkOk(putResponse, 'Able to create symlink', t)
 
-    const ipnsRoot = makeKeyResponse.headers.get('Location')
+    const linkURL = putResponse.headers.get('Location')
+    const root = linkURL.slice(0, -'latest'.length)
 
-    const publishResponse = await fetch(ipnsRoot, {
-      method: 'post',
-      body: folderURI
-    })
+    const fileResponse = await fetch(`${root}latest/example.txt`)
+    t.equal(await fileResponse.text(), TEST_DATA, 'Followed symlink in the middle of the path')
 
-    await checkOk(publishResponse, 'Able to post URL to IPNS', t)
+    const indexResponse = await fetch(`${root}latest/`)
+    t.equal(await indexResponse.text(), TEST_DATA, 'Followed symlink to directory with index')
 
-    const updatedURI = publishResponse.headers.get('Location')
+    const targetResponse = await fetch(`${linkURL}?noResolve`)
+    await checkOk(targetResponse, 'Able to load symlink with noResolve', t)
+    t.equal(targetResponse.headers.get('Content-Type'), 'inode/symlink', 'Got symlink content type')
+    t.equal(await targetResponse.text(), 'v1', 'Got symlink target')
 
-    t.equal(updatedURI, ipnsRoot, 'After updating, IPNS key stayed the same')
+    const spacedFileResponse = await fetch(`${root}v1/with%20space.txt`, {
+      method: 'PUT',
+      body: TEST_DATA
+    })
+    await checkOk(spacedFileResponse, 'Able to upload file with a space', t)
+    const spacedLocation = spacedFileResponse.headers.get('Location')
+    const spacedRoot = spacedLocation.slice(0, spacedLocation.indexOf('/', 'ipfs://'.length) + 1)
 
-    const resolvedResponse1 = await fetch(ipnsRoot, {
+    const spacedLinkResponse = await fetch(`${spacedRoot}spaced`, {
+      method: 'PUT',
       headers: {
-        Accept: 'application/json'
-      }
+        'Content-Type': 'inode/symlink'
+      },
+      body: 'v1/with space.txt'
     })
+    await checkOk(spacedLinkResponse, 'Able to create symlink to file with a space', t)
 
-    await checkOk(resolvedResponse1, 'Able to fetch IPNS data back')
-
-    const file = await resolvedResponse1.json()
-    t.deepEqual(file, ['example.txt'], 'resolved file')
+    const spacedResponse = await fetch(spacedLinkResponse.headers.get('Location'))
+    t.equal(await spacedResponse.text(), TEST_DATA, 'Followed symlink to file with a space')
 
-    const putResponse = await fetch(ipnsRoot + 'example2.txt', {
-      method: 'put',
-      body: TEST_DATA
+    const v0Response = await fetch(`${root}v0?cidVersion=0`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'inode/symlink'
+      },
+      body: 'v1'
     })
+    await checkOk(v0Response, 'Able to create symlink with CID version 0', t)
 
-    await checkOk(putResponse, 'Able to upload to IPNS url with data', t)
+    const v0Root = v0Response.headers.get('Location').slice('ipfs://'.length, -'/v0'.length)
+    const v0Entries = await collect(ipfs.ls(`/ipfs/${v0Root}`))
+    const v0Link = v0Entries.find(({ name }) => name === 'v0')
+    t.equal(v0Link.cid.version, 0, 'Symlink got CID version 0')
 
-    const updatedURI2 = putResponse.headers.get('Location')
+    const loopResponse = await fetch(`${root}loop`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'inode/symlink'
+      },
+      body: '../loop'
+    })
 
-    t.equal(updatedURI2, ipnsRoot, 'After updating, IPNS key stayed the same')
+    await checkOk(loopResponse, 'Able to create symlink to itself', t)
 
-    const resolvedResponse2 = await fetch(ipnsRoot, {
+    const loopedResponse = await fetch(loopResponse.headers.get('Location'))
+    t.equal(loopedResponse.status, 508, 'Symlink loops get detected')
+
+    const emptyResponse = await fetch(`${root}empty`, {
+      method: 'PUT',
       headers: {
-        Accept: 'application/json'
-      }
+        'Content-Type': 'inode/symlink'
+      },
+      body: ''
     })
 
-    await checkOk(resolvedResponse2, 'Able to fetch IPNS data back')
-
-    const files = await resolvedResponse2.json()
-    t.deepEqual(files, ['example.txt', 'example2.txt'], 'resolved files')
+    t.equal(emptyResponse.status, 400, 'Symlinks must have a target')
   } finally {
     try {
       if (ipfs) await ipfs.stop()
@@ -1023,6 +3023,234 @@ test('Resolve IPNS', async (t) => {
   }
 })
 
+test('Resolve DNSLink with custom resolver and overrides', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const { cid } = await ipfs.add(TEST_DATA, { cidVersion: 1 })
+    const results = await collect(ipfs.addAll([
+      { path: '/docs/example.txt', content: TEST_DATA }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+    const folderCID = results[results.length - 1].cid
+
+    const lookups = []
+
+    const resolveDNSLink = async (hostname, { signal }) => {
+      lookups.push(hostname)
+      t.ok(signal, 'Resolver got a signal')
+      if (hostname === 'alias.example.org') return `/ipfs/${folderCID}`
+      if (hostname === 'short.example.org') return { value: `/ipfs/${cid}`, ttl: 0 }
+      return null
+    }
+
+    const fetch = await makeIPFSFetch({
+      ipfs,
+      resolveDNSLink,
+      dnslinkOverrides: {
+        'file.example.org': `/ipfs/${cid}`,
+        'docs.example.org': '/ipns/alias.example.org/docs'
+      }
+    })
+
+    const overrideResponse = await fetch('ipns://file.example.org/')
+
+    await checkOk(overrideResponse, 'Able to resolve override', t)
+
+    t.equal(await overrideResponse.text(), TEST_DATA, 'Got file from override')
+    t.deepEqual(lookups, [], 'Overrides do not use resolver')
+
+    const chainResponse = await fetch('ipns://docs.example.org/example.txt')
+
+    await checkOk(chainResponse, 'Able to resolve DNSLink chain', t)
+
+    t.equal(await chainResponse.text(), TEST_DATA, 'Got file through chain')
+    t.equal(
+      chainResponse.headers.get('X-DNSLink-Chain'),
+      `/ipns/docs.example.org, /ipns/alias.example.org/docs, /ipfs/${folderCID}`,
+      'Got DNSLink chain in headers'
+    )
+
+    const cachedResponse = await fetch('ipns://docs.example.org/example.txt')
+
+    await checkOk(cachedResponse, 'Able to resolve DNSLink again', t)
+
+    t.deepEqual(lookups, ['alias.example.org'], 'DNSLink lookup got cached')
+
+    const missingResponse = await fetch('ipns://missing.example.org/')
+
+    t.equal(missingResponse.status, 404, 'Missing DNSLink is not found')
+
+    await checkOk(await fetch('ipns://short.example.org/'), 'Able to resolve DNSLink with TTL', t)
+    const lookupCount = lookups.length
+    await checkOk(await fetch('ipns://short.example.org/'), 'Able to resolve DNSLink with TTL again', t)
+
+    t.ok(lookups.length > lookupCount, 'Expired DNSLink got looked up again')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('Use _redirects file for rewrites and redirects', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    const REDIRECTS = [
+      '# Client side routing',
+      '/app/* /index.html 200',
+      '/old/:id /new/:id 302',
+      '/gone /404.html 404',
+      '/removed /missing.html 404',
+      '/docs/* https://example.com/:splat'
+    ].join('\n')
+
+    const results = await collect(ipfs.addAll([
+      { path: '/index.html', content: '<h1>App</h1>' },
+      { path: '/404.html', content: 'Not Found' },
+      { path: '/_redirects', content: REDIRECTS }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+    const siteCID = results[results.length - 1].cid
+    const siteURL = `ipfs://${siteCID}/`
+
+    const rewriteResponse = await fetch(`${siteURL}app/some/route`)
+
+    await checkOk(rewriteResponse, 'Able to load rewritten path', t)
+
+    t.equal(await rewriteResponse.text(), '<h1>App</h1>', 'Got index.html for splat rewrite')
+
+    const headResponse = await fetch(`${siteURL}app/other`, { method: 'HEAD' })
+
+    await checkOk(headResponse, 'Able to HEAD rewritten path', t)
+
+    t.equal(headResponse.headers.get('Content-Type'), 'text/html; charset=utf-8', 'Got HTML content type')
+
+    const redirectResponse = await fetch(`${siteURL}old/42`, { redirect: 'manual' })
+
+    t.equal(redirectResponse.status, 302, 'Got redirect status')
+    t.equal(redirectResponse.headers.get('Location'), `${siteURL}new/42`, 'Placeholder got substituted')
+
+    const externalResponse = await fetch(`${siteURL}docs/a/b`, { redirect: 'manual' })
+
+    t.equal(externalResponse.status, 301, 'Status defaults to 301')
+    t.equal(externalResponse.headers.get('Location'), 'https://example.com/a/b', 'Splat got substituted')
+
+    const goneResponse = await fetch(`${siteURL}gone`)
+
+    t.equal(goneResponse.status, 404, 'Got overridden status')
+    t.equal(await goneResponse.text(), 'Not Found', 'Got 404 page contents')
+
+    const missingTargetResponse = await fetch(`${siteURL}removed`)
+
+    t.equal(missingTargetResponse.status, 404, 'Missing rewrite target is a 404')
+    t.equal(await missingTargetResponse.text(), 'Not Found', 'Fell back to 404 page')
+
+    const plainResults = await collect(ipfs.addAll([
+      { path: '/_redirects', content: '/gone /missing.html 404' }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+    const plainCID = plainResults[plainResults.length - 1].cid
+
+    const plainResponse = await fetch(`ipfs://${plainCID}/gone`)
+
+    t.equal(plainResponse.status, 404, 'Missing rewrite target without a 404 page is a 404')
+
+    const invalidResults = await collect(ipfs.addAll([
+      { path: '/_redirects', content: '/from /to 999' }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+    const invalidCID = invalidResults[invalidResults.length - 1].cid
+
+    const invalidResponse = await fetch(`ipfs://${invalidCID}/missing`)
+
+    t.equal(invalidResponse.status, 500, 'Invalid _redirects is a server error')
+    t.ok((await invalidResponse.text()).includes('Line 1'), 'Error mentions the line')
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
+test('Get 404 status and custom 404 pages for missing paths', async (t) => {
+  let ipfs = null
+  try {
+    ipfs = await getInstance()
+
+    const fetch = await makeIPFSFetch({ ipfs })
+
+    const { cid } = await ipfs.add(TEST_DATA, { cidVersion: 1 })
+    const plainResults = await collect(ipfs.addAll([
+      { path: '/example.txt', content: TEST_DATA }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+    const plainCID = plainResults[plainResults.length - 1].cid
+
+    const missingResponse = await fetch(`ipfs://${plainCID}/missing.txt`)
+
+    t.equal(missingResponse.status, 404, 'Missing file is a 404')
+
+    const missingHeadResponse = await fetch(`ipfs://${plainCID}/missing.txt`, { method: 'HEAD' })
+
+    t.equal(missingHeadResponse.status, 404, 'Missing file is a 404 for HEAD')
+
+    const missingRawResponse = await fetch(`ipfs://${plainCID}/missing.txt?format=raw`)
+
+    t.equal(missingRawResponse.status, 404, 'Missing raw block is a 404')
+
+    const siteResults = await collect(ipfs.addAll([
+      { path: '/404.html', content: 'Root Not Found' },
+      { path: '/docs/404.html', content: 'Docs Not Found' },
+      { path: '/docs/example.txt', content: TEST_DATA }
+    ], { wrapWithDirectory: true, cidVersion: 1 }))
+    const siteCID = siteResults[siteResults.length - 1].cid
+
+    const rootPageResponse = await fetch(`ipfs://${siteCID}/missing.txt`)
+
+    t.equal(rootPageResponse.status, 404, 'Custom page has 404 status')
+    t.equal(await rootPageResponse.text(), 'Root Not Found', 'Got root 404 page')
+    t.equal(rootPageResponse.headers.get('Content-Type'), 'text/html; charset=utf-8', 'Got HTML content type')
+
+    const nestedPageResponse = await fetch(`ipfs://${siteCID}/docs/deep/missing.txt`)
+
+    t.equal(nestedPageResponse.status, 404, 'Nested page has 404 status')
+    t.equal(await nestedPageResponse.text(), 'Docs Not Found', 'Got nearest 404 page')
+
+    const keyResponse = await fetch('ipns://localhost/?key=not-found-pages', { method: 'POST' })
+    await checkOk(keyResponse, 'Created key', t)
+    const keyURL = await keyResponse.text()
+
+    const publishResponse = await fetch(keyURL, {
+      method: 'POST',
+      body: `ipfs://${siteCID}/`
+    })
+    await checkOk(publishResponse, 'Published site', t)
+
+    const ipnsPageResponse = await fetch(`${keyURL}missing.txt`)
+
+    t.equal(ipnsPageResponse.status, 404, 'IPNS page has 404 status')
+    t.equal(await ipnsPageResponse.text(), 'Root Not Found', 'Got 404 page over IPNS')
+
+    const fileResponse = await fetch(`ipfs://${cid}/`)
+
+    await checkOk(fileResponse, 'Existing files still load', t)
+  } finally {
+    try {
+      if (ipfs) await ipfs.stop()
+    } catch (e) {
+      console.error('Could not stop', e)
+      // Whatever
+    }
+  }
+})
+
 // Not sure what's up with this
 test.skip('Testing the timeout option', async (t) => {
   let ipfs = null
@@ -1301,6 +3529,94 @@ async function collect (iterable) {
   return results
 }
 
+// Streams `size` bytes of filler data between an optional prefix and suffix
+function makeLargeBody (size, prefix = '', suffix = '') {
+  const chunk = Buffer.alloc(1024 * 1024, 'a')
+  let sent = 0
+  return new ReadableStream({
+    start (controller) {
+      if (prefix) controller.enqueue(Buffer.from(prefix))
+    },
+    pull (controller) {
+      if (sent >= size) {
+        if (suffix) controller.enqueue(Buffer.from(suffix))
+        controller.close()
+        return
+      }
+      const length = Math.min(chunk.length, size - sent)
+      controller.enqueue(new Uint8Array(chunk.subarray(0, length)))
+      sent += length
+    }
+  })
+}
+
+function getMemoryUsage () {
+  const { heapUsed, arrayBuffers } = process.memoryUsage()
+  return heapUsed + arrayBuffers
+}
+
+// Reads entries from ustar archives without long names
+function readTar (archive) {
+  const entries = []
+  let offset = 0
+  while (offset < archive.length && archive[offset] !== 0) {
+    const header = archive.subarray(offset, offset + 512)
+    const readField = (start, length) => header.subarray(start, start + length).toString().replace(/\0.*$/, '')
+    const name = readField(0, 100)
+    const mode = parseInt(readField(100, 8), 8)
+    const size = parseInt(readField(124, 12), 8)
+    const mtime = parseInt(readField(136, 12), 8)
+    offset += 512
+    const data = archive.subarray(offset, offset + size)
+    offset += Math.ceil(size / 512) * 512
+    entries.push({ name, mode, size, mtime, data })
+  }
+  return entries
+}
+
+// Makes zip archives, with `size` and `crc` overriding the declared values of an entry
+function makeZip (files) {
+  const local = []
+  const central = []
+  let offset = 0
+  for (const { name, data = '', compress = false, size, crc } of files) {
+    const nameBytes = Buffer.from(name)
+    const rawBytes = Buffer.from(data)
+    const dataBytes = compress ? zlib.deflateRawSync(rawBytes) : rawBytes
+    const header = Buffer.alloc(30)
+    header.writeUInt32LE(0x04034b50, 0)
+    header.writeUInt16LE(compress ? 8 : 0, 8)
+    header.writeUInt32LE(crc === undefined ? crc32(rawBytes) : crc, 14)
+    header.writeUInt32LE(dataBytes.length, 18)
+    header.writeUInt32LE(size === undefined ? rawBytes.length : size, 22)
+    header.writeUInt16LE(nameBytes.length, 26)
+    const entry = Buffer.alloc(46)
+    entry.writeUInt32LE(0x02014b50, 0)
+    header.copy(entry, 10, 8, 30)
+    entry.writeUInt32LE(offset, 42)
+    local.push(header, nameBytes, dataBytes)
+    central.push(entry, nameBytes)
+    offset += header.length + nameBytes.length + dataBytes.length
+  }
+  const centralBytes = Buffer.concat(central)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(files.length, 8)
+  end.writeUInt16LE(files.length, 10)
+  end.writeUInt32LE(centralBytes.length, 12)
+  end.writeUInt32LE(offset, 16)
+  return Buffer.concat([...local, centralBytes, end])
+}
+
+function crc32 (data) {
+  let crc = 0xffffffff
+  for (const byte of data) {
+    crc ^= byte
+    for (let i = 0; i < 8; i++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1))
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
 async function checkOk (response, message = 'HTTP Response', t = null) {
   if (!response.ok) throw new Error(`${message} Failed ${response.status}:\n${await response.text()}`)
   if (t) t.pass(message)
@@ -0,0 +1,340 @@
+/* global globalThis, AbortController */
+import { exporter } from 'ipfs-unixfs-exporter'
+import { CID } from 'multiformats/cid'
+import { varint, bytes as Bytes } from 'multiformats'
+import { sha256, sha512 } from 'multiformats/hashes/sha2'
+import { identity } from 'multiformats/hashes/identity'
+
+import * as cbor from '@ipld/dag-cbor'
+
+import { makeBlockstoreBackend } from './backends.js'
+
+const DEFAULT_HASHERS = [sha256, sha512, identity]
+const BLOCK_CACHE_SIZE = 64
+const MAX_BUFFERED_SIZE = 32 * 1024 * 1024
+const GATEWAY_TIMEOUT = 30000
+// Gateways won't send blocks bigger than bitswap would, this leaves some room
+const MAX_BLOCK_SIZE = 4 * 1024 * 1024
+const MAX_VARINT_LENGTH = 10
+
+const MIME_RAW = 'application/vnd.ipld.raw'
+const MIME_CAR = 'application/vnd.ipld.car'
+
+// Read only stand-in for the ipfs API which loads blocks from trustless gateways
+// Every block is checked against its CID before it gets used
+export default function makeTrustlessIPFS ({
+  gateways,
+  fetch = globalThis.fetch,
+  hashers = [],
+  cacheSize = BLOCK_CACHE_SIZE,
+  bufferSize = MAX_BUFFERED_SIZE,
+  timeout = GATEWAY_TIMEOUT
+}) {
+  if (!gateways || !gateways.length) {
+    throw new TypeError('Must specify at least one trustless gateway URL')
+  }
+
+  const allHashers = [...hashers, ...DEFAULT_HASHERS]
+  const blockCache = new Map()
+
+  const block = {
+    async get (cid, { signal } = {}) {
+      cid = CID.asCID(cid) || CID.parse(`${cid}`)
+      // Identity CIDs contain their data
+      if (cid.multihash.code === identity.code) return cid.multihash.digest
+
+      const key = cid.toString()
+      if (blockCache.has(key)) return blockCache.get(key)
+
+      const errors = []
+      for (const gateway of gateways) {
+        const timer = makeTimer(timeout, signal)
+        try {
+          const response = await fetch(gatewayURL(gateway, `/ipfs/${cid}`, '?format=raw'), {
+            headers: { Accept: MIME_RAW },
+            signal: timer.signal
+          })
+          if (!response.ok) throw new Error(`Got status ${response.status}`)
+          const bytes = new Uint8Array(await response.arrayBuffer())
+          if (!(await verifyBlock(cid, bytes))) {
+            throw new Error('Block did not match its hash')
+          }
+          cacheBlock(key, bytes)
+          return bytes
+        } catch (e) {
+          if (signal && signal.aborted) throw e
+          errors.push(`${gateway}: ${timer.timedOut ? `Timed out after ${timeout}ms` : e.message}`)
+        } finally {
+          timer.clear()
+        }
+      }
+
+      throw new Error(`Unable to load block ${cid} from gateways:\n${errors.join('\n')}`)
+    }
+  }
+
+  const backend = makeBlockstoreBackend(block)
+
+  async function * cat (path, { signal, offset, length } = {}) {
+    const blockstore = streamEntity(path, { offset, length }, signal)
+    try {
+      const entry = await exporter(path, blockstore, { signal })
+      if (entry.type === 'directory') throw new Error(`${path} is a directory`)
+      yield * entry.content({ signal, offset, length })
+    } finally {
+      blockstore.close()
+    }
+  }
+
+  // Streams all the blocks for a file in one request when the gateway supports CARs
+  // Blocks get verified as they arrive and are held until the exporter asks for them
+  function streamEntity (path, { offset, length }, signal) {
+    const arrived = new Map()
+    let buffered = 0
+    let blocks = null
+    let timer = null
+    let pending = null
+    let finished = false
+
+    let search = '?format=car&dag-scope=entity'
+    if (offset || length !== undefined) {
+      const from = offset || 0
+      const to = length !== undefined ? from + length - 1 : '*'
+      if (to !== '*' && to < from) finished = true
+      search += `&entity-bytes=${from}:${to}`
+    }
+
+    async function get (cid, options) {
+      const key = cid.toString()
+      while (!arrived.has(key)) {
+        if (finished) return block.get(cid, options)
+        await next()
+      }
+
+      const bytes = arrived.get(key)
+      arrived.delete(key)
+      buffered -= bytes.length
+      // Blocks can show up more than once within a file
+      cacheBlock(key, bytes)
+      return bytes
+    }
+
+    // Only one block gets read from the stream at a time
+    function next () {
+      if (!pending) pending = pull().finally(() => { pending = null })
+      return pending
+    }
+
+    async function pull () {
+      try {
+        if (!blocks) blocks = await openCAR()
+        if (!blocks) {
+          finished = true
+          return
+        }
+        // Each block has to arrive in time however the gateway splits it up
+        // The timer only runs while waiting on the gateway, not on the exporter
+        const current = timer
+        current.refresh()
+        const { done, value } = await blocks.next()
+        current.pause()
+        if (done) {
+          stop()
+          return
+        }
+        // Bad blocks get skipped and loaded individually later
+        const key = value.cid.toString()
+        if (!arrived.has(key) && await verifyBlock(value.cid, value.bytes)) {
+          arrived.set(key, value.bytes)
+          buffered += value.bytes.length
+        }
+        // Blocks the exporter doesn't ask for shouldn't pile up in memory
+        if (buffered > bufferSize) stop()
+      } catch (e) {
+        // Whatever is left gets loaded a block at a time
+        stop()
+        if (signal && signal.aborted) throw e
+      }
+    }
+
+    async function openCAR () {
+      for (const gateway of gateways) {
+        timer = makeTimer(timeout, signal)
+        try {
+          const response = await fetch(gatewayURL(gateway, path, search), {
+            headers: { Accept: `${MIME_CAR}; version=1` },
+            signal: timer.signal
+          })
+          if (response.ok && response.body) {
+            return readCARBlocks(readChunks(response.body))
+          }
+        } catch (e) {
+          if (signal && signal.aborted) throw e
+        }
+        timer.clear()
+      }
+      timer = null
+      return null
+    }
+
+    function stop () {
+      finished = true
+      if (timer) timer.abort()
+      timer = null
+      if (blocks) blocks.return().catch(() => {})
+    }
+
+    function close () {
+      stop()
+      arrived.clear()
+      buffered = 0
+    }
+
+    return { get, close }
+  }
+
+  async function verifyBlock (cid, bytes) {
+    const hasher = allHashers.find(({ code }) => code === cid.multihash.code)
+    if (!hasher) {
+      throw new Error(`Unsupported hash function ${cid.multihash.code} for ${cid}`)
+    }
+    const { digest } = await hasher.digest(bytes)
+    return Bytes.equals(digest, cid.multihash.digest)
+  }
+
+  function cacheBlock (key, bytes) {
+    if (!cacheSize) return
+    if (blockCache.size >= cacheSize) {
+      blockCache.delete(blockCache.keys().next().value)
+    }
+    blockCache.set(key, bytes)
+  }
+
+  return { ...backend, cat }
+}
+
+function gatewayURL (gateway, path, search) {
+  const base = gateway.endsWith('/') ? gateway.slice(0, -1) : gateway
+  return `${base}${path}${search}`
+}
+
+// Aborts when a gateway takes more than `timeout` ms to respond
+function makeTimer (timeout, signal) {
+  const controller = new AbortController()
+  const timer = {
+    signal: controller.signal,
+    timedOut: false,
+    refresh,
+    pause,
+    clear,
+    abort
+  }
+  let timeoutId = null
+
+  function refresh () {
+    clearTimeout(timeoutId)
+    timeoutId = setTimeout(() => {
+      timer.timedOut = true
+      abort()
+    }, timeout)
+  }
+
+  function pause () {
+    clearTimeout(timeoutId)
+  }
+
+  function clear () {
+    pause()
+    if (signal) signal.removeEventListener('abort', abort)
+  }
+
+  function abort () {
+    clear()
+    controller.abort()
+  }
+
+  if (signal && signal.aborted) abort()
+  else if (signal) signal.addEventListener('abort', abort)
+  if (!controller.signal.aborted) refresh()
+
+  return timer
+}
+
+async function * readChunks (body) {
+  const reader = body.getReader()
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) return
+      yield value
+    }
+  } finally {
+    reader.cancel().catch(() => {})
+  }
+}
+
+async function * readCARBlocks (chunks) {
+  const iterator = chunks[Symbol.asyncIterator]()
+  let buffered = new Uint8Array(0)
+  let ended = false
+
+  async function fill (length) {
+    const parts = [buffered]
+    let total = buffered.length
+    while (total < length && !ended) {
+      const { done, value } = await iterator.next()
+      if (done) {
+        ended = true
+      } else {
+        parts.push(value)
+        total += value.length
+      }
+    }
+    if (parts.length > 1) buffered = concat(parts, total)
+  }
+
+  async function read (length) {
+    await fill(length)
+    const chunk = buffered.subarray(0, length)
+    buffered = buffered.subarray(chunk.length)
+    return chunk
+  }
+
+  async function readLength () {
+    await fill(MAX_VARINT_LENGTH)
+    if (!buffered.length) return null
+    const [length, prefix] = varint.decode(buffered)
+    buffered = buffered.subarray(prefix)
+    if (length > MAX_BLOCK_SIZE) throw new Error(`CAR section is larger than ${MAX_BLOCK_SIZE} bytes`)
+    return length
+  }
+
+  try {
+    const headerLength = await readLength()
+    if (headerLength === null) throw new Error('CAR file is empty')
+    const header = cbor.decode(await read(headerLength))
+    if (header.version !== 1) throw new Error(`Unsupported CAR version ${header.version}`)
+
+    while (true) {
+      const length = await readLength()
+      if (length === null) return
+      const section = await read(length)
+      // Stop at truncated sections
+      if (section.length < length) return
+      const [cid, bytes] = CID.decodeFirst(section)
+      yield { cid, bytes }
+    }
+  } finally {
+    if (iterator.return) await iterator.return()
+  }
+}
+
+function concat (parts, length) {
+  const joined = new Uint8Array(length)
+  let offset = 0
+  for (const part of parts) {
+    joined.set(part, offset)
+    offset += part.length
+  }
+  return joined
+}